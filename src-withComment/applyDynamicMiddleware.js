@@ -0,0 +1,286 @@
+import compose from './compose'
+import createTeardownList from './utils/createTeardownList'
+import createEarlyDispatchGuard from './utils/createEarlyDispatchGuard'
+import combineErrors from './utils/combineErrors'
+import isThenable from './utils/isThenable'
+
+/**
+ * Creates a store enhancer that applies middleware which can be added and
+ * removed after the store has been created. Lazily loaded features can bring
+ * their own middleware this way without recreating the store, so that the
+ * state and the subscribers are kept.
+ *
+ * The enhanced store has these extra methods:
+ *
+ * - `addMiddleware(...middlewares)` appends middleware to the end of the
+ *   chain, right before the reducer. Middleware that is already applied is
+ *   skipped.
+ * - `removeMiddleware(...middlewares)` removes middleware from the chain and
+ *   runs the teardowns it registered.
+ * - `withMiddleware(middleware, fn)` applies the middleware while `fn` runs.
+ *   If `fn` returns a Promise, the middleware is removed once it settles.
+ *   Overlapping calls with the same middleware keep it applied until the
+ *   last of them ends, and middleware added with `addMiddleware()` is never
+ *   removed this way.
+ * - `dispose()` removes every middleware and runs its teardowns. Middleware
+ *   cannot be added afterwards.
+ *
+ * Each middleware receives the same API as with `applyMiddleware()`. Its
+ * teardowns run when it is removed, and teardowns it registers afterwards run
+ * immediately. `context` is shared by all the middleware of the store. As
+ * with `applyMiddleware()`, a middleware must not dispatch while it is being
+ * added, which throws unless the store was created with the
+ * `earlyDispatch: 'queue'` option.
+ *
+ * 返回一个 store enhancer，它应用的中间件在 store 创建之后还可以添加和移除。按需
+ * 加载的功能可以带上自己的中间件，而不必重新创建 store，state 和订阅者都得以保留。
+ * 每个中间件拿到的 API 与 applyMiddleware 相同，移除时会执行它注册的 teardown，
+ * 之后再注册的 teardown 会立即执行。context 由同一个 store 的所有中间件共享。
+ *
+ * @param {...Function} middlewares The middleware applied initially.
+ * @returns {Function} A store enhancer applying the middleware.
+ */
+export default function applyDynamicMiddleware(...middlewares) {
+  return (createStore) => (reducer, preloadedState, options) => {
+    const store = createStore(reducer, preloadedState, options)
+    const context = {} // 所有中间件共享的对象
+    const guard = createEarlyDispatchGuard(options) // 中间件构造期间的 dispatch 按 earlyDispatch 选项抛错或排队
+    let entries = [] // 当前链上的中间件，每一项带有自己的 teardown 列表
+    let dispatch = store.dispatch // 由当前中间件链组合出的 dispatch
+    let isDisposed = false
+
+    function getName(middleware, index) {
+      return `"${middleware.name || 'anonymous'}" at index ${index}`
+    }
+
+    // 按当前的 entries 重新组合中间件链，并派发构造期间排队的 action
+    function rebuild() {
+      dispatch = compose(...entries.map((entry, index) =>
+        (next) => guard.construct(
+          getName(entry.middleware, index),
+          () => entry.link(next)
+        )
+      ))(store.dispatch)
+      guard.flush(action => dispatch(action))
+    }
+
+    // 执行这些中间件的 teardown，收集错误而不是在第一个错误处停下
+    function runTeardowns(removedEntries) {
+      const errors = []
+      removedEntries.forEach(entry => {
+        try {
+          entry.teardowns.run()
+        } catch (e) {
+          errors.push(e)
+        }
+      })
+      return errors
+    }
+
+    function throwErrors(errors) {
+      if (errors.length > 0) {
+        throw combineErrors(errors)
+      }
+    }
+
+    function createEntry(middleware, index) {
+      const teardowns = createTeardownList() // 这个中间件注册的 teardown
+      const entry = {
+        middleware,
+        teardowns,
+        link: null,
+        isAdded: false, // 是否由 addMiddleware 添加，这样的中间件不会被 withMiddleware 移除
+        scopeCount: 0 // 正在使用它的 withMiddleware 调用的数量
+      }
+
+      function addTeardown(teardown) {
+        teardowns.add(teardown)
+      }
+
+      function subscribe(listener, subscribeOptions) {
+        const unsubscribe = store.subscribe(listener, subscribeOptions)
+        const removeTeardown = teardowns.add(unsubscribe)
+        return () => {
+          removeTeardown() // 提前取消订阅时，也从 teardown 列表中移除
+          unsubscribe()
+        }
+      }
+
+      const middlewareAPI = {
+        getState: store.getState,
+        dispatch: (action) => guard.isConstructing() ? // 构造期间的 dispatch 交给 guard 处理
+          guard.dispatchEarly(action) :
+          dispatch(action),
+        subscribe,
+        addTeardown,
+        context
+      }
+
+      try {
+        entry.link = guard.construct(
+          getName(middleware, index),
+          () => middleware(middlewareAPI)
+        )
+      } catch (e) {
+        // The error of the middleware matters more than the ones of its
+        // teardowns.
+        runTeardowns([entry]) // 中间件构造失败时，撤销它已经注册的东西
+        throw e
+      }
+      return entry
+    }
+
+    function findEntry(middleware) {
+      return entries.filter(entry => entry.middleware === middleware)[0]
+    }
+
+    function insertMiddleware(nextMiddlewares) {
+      if (isDisposed) {
+        throw new Error('Middleware cannot be added to a disposed store.') // dispose 之后不能再添加中间件
+      }
+
+      nextMiddlewares.forEach(middleware => {
+        if (typeof middleware !== 'function') { // 先检查所有中间件，避免只添加了一部分
+          throw new Error('Expected the middleware to be a function.')
+        }
+      })
+
+      const addedEntries = []
+      try {
+        nextMiddlewares.forEach(middleware => {
+          if (
+            !findEntry(middleware) && // 已经应用的中间件跳过
+            !addedEntries.some(entry => entry.middleware === middleware)
+          ) {
+            addedEntries.push(
+              createEntry(middleware, entries.length + addedEntries.length)
+            )
+          }
+        })
+      } catch (e) {
+        runTeardowns(addedEntries) // 有一个构造失败时，撤销这次添加的全部中间件
+        throw e
+      }
+
+      entries = entries.concat(addedEntries) // 全部构造成功后才一起加入链中
+      rebuild()
+    }
+
+    /**
+     * Appends middleware to the end of the chain. Middleware added this way
+     * stays applied until `removeMiddleware()` is called, even when a
+     * `withMiddleware()` call applied it first.
+     *
+     * @param {...Function} nextMiddlewares The middleware to add.
+     * @returns {void}
+     */
+    function addMiddleware(...nextMiddlewares) {
+      insertMiddleware(nextMiddlewares)
+      nextMiddlewares.forEach(middleware => {
+        findEntry(middleware).isAdded = true
+      })
+    }
+
+    /**
+     * Removes middleware from the chain and runs its teardowns.
+     *
+     * @param {...Function} staleMiddlewares The middleware to remove.
+     * @returns {void}
+     */
+    function removeMiddleware(...staleMiddlewares) {
+      const removedEntries = entries.filter(entry =>
+        staleMiddlewares.indexOf(entry.middleware) !== -1
+      )
+      if (removedEntries.length === 0) {
+        return
+      }
+
+      entries = entries.filter(entry => removedEntries.indexOf(entry) === -1)
+      rebuild()
+      throwErrors(runTeardowns(removedEntries))
+    }
+
+    /**
+     * Applies a middleware while `fn` runs. Overlapping calls applying the
+     * same middleware keep it applied until the last of them ends, and
+     * middleware added with `addMiddleware()` stays applied afterwards.
+     *
+     * @param {Function} middleware The middleware to apply.
+     * @param {Function} fn The function to run with the middleware applied.
+     * @returns {any} The value returned by `fn`.
+     */
+    function withMiddleware(middleware, fn) {
+      if (typeof fn !== 'function') {
+        throw new Error('Expected fn to be a function.')
+      }
+
+      insertMiddleware([middleware])
+      const entry = findEntry(middleware)
+      entry.scopeCount++ // 引用计数，最后一个结束的调用才移除它
+      const cleanup = () => {
+        entry.scopeCount--
+        if (
+          entry.scopeCount === 0 &&
+          !entry.isAdded &&
+          entries.indexOf(entry) !== -1 // 期间已经被 removeMiddleware 移除时什么也不做
+        ) {
+          removeMiddleware(middleware)
+        }
+      }
+
+      let result
+      try {
+        result = fn()
+      } catch (e) {
+        cleanup()
+        throw e
+      }
+
+      if (isThenable(result)) { // fn 返回 Promise 时，等它完成后再移除
+        return result.then(
+          value => {
+            cleanup()
+            return value
+          },
+          error => {
+            cleanup()
+            throw error
+          }
+        )
+      }
+
+      cleanup()
+      return result
+    }
+
+    /**
+     * Removes every middleware and runs its teardowns, like `dispose()` of
+     * `applyMiddleware()`. Teardowns registered afterwards run immediately,
+     * and calling `dispose()` again has no effect.
+     *
+     * @returns {void}
+     */
+    function dispose() {
+      if (isDisposed) {
+        return
+      }
+
+      isDisposed = true // 先标记，重复调用 dispose 不再生效
+      const removedEntries = entries
+      entries = []
+      rebuild()
+      throwErrors(runTeardowns(removedEntries))
+    }
+
+    addMiddleware(...middlewares)
+
+    return {
+      ...store,
+      dispatch: (action) => dispatch(action),
+      addMiddleware,
+      removeMiddleware,
+      withMiddleware,
+      dispose
+    }
+  }
+}
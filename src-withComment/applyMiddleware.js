@@ -1,4 +1,7 @@
 import compose from './compose'
+import createTeardownList from './utils/createTeardownList'
+import createEarlyDispatchGuard from './utils/createEarlyDispatchGuard'
+import isThenable from './utils/isThenable'
 
 /**
  * Creates a store enhancer that applies middleware to the dispatch method
@@ -13,25 +16,89 @@ import compose from './compose'
  * Note that each middleware will be given the `dispatch` and `getState` functions
  * as named arguments.
  *
+ * Middleware also receives `subscribe`, which adds a change listener that is
+ * removed when the store is disposed, `addTeardown`, which registers a
+ * function to run when the store is disposed, and `context`, an object
+ * shared by all the middleware of the store. Call `store.dispose()` to run
+ * every teardown, in the reverse order of registration, for example at the
+ * end of a test.
+ *
+ * A middleware must not dispatch while the chain is being built, because the
+ * action would skip the other middleware. By default this throws an error
+ * naming the middleware. Create the store with the `earlyDispatch: 'queue'`
+ * option to hold such actions instead and dispatch them through the whole
+ * chain once it is ready.
+ *
+ * The enhanced store keeps track of the Promises and other thenables returned
+ * from `dispatch()`, such as the ones returned by thunks. `whenIdle()` waits
+ * until all of them have settled, which is useful on the server before the
+ * state is serialized. `dispatchSettled(action)` dispatches and returns a
+ * Promise settling with the outcome of the returned value.
+ *
  * @param {...Function} middlewares The middleware chain to be applied.
  * @returns {Function} A store enhancer applying the middleware.
  */
 export default function applyMiddleware(...middlewares) {
-  return (createStore) => (reducer, preloadedState, enhancer) => {
-    const store = createStore(reducer, preloadedState, enhancer)
-    let dispatch = store.dispatch
+  return (createStore) => (reducer, preloadedState, options) => {
+    const store = createStore(reducer, preloadedState, options)
+    const guard = createEarlyDispatchGuard(options)
+    // 中间件链构建完成之前，dispatch按earlyDispatch选项报错或者先存起来。
+    let dispatch = guard.dispatchEarly
     let chain = []
 
+    const pendingWork = []
+
+    // 记录dispatch返回的thenable（比如thunk返回的Promise），在它settle之后移除，whenIdle据此判断是否空闲。
+    function track(result) {
+      if (
+        isThenable(result) &&
+        pendingWork.indexOf(result) === -1
+      ) {
+        pendingWork.push(result)
+        const done = () => {
+          pendingWork.splice(pendingWork.indexOf(result), 1)
+        }
+        result.then(done, done)
+      }
+      return result
+    }
+
+    const context = {}
+    const teardowns = createTeardownList()
+    let isDisposed = false
+
+    function addTeardown(teardown) {
+      teardowns.add(teardown)
+    }
+
+    function subscribe(listener, subscribeOptions) {
+      const unsubscribe = store.subscribe(listener, subscribeOptions)
+      // 中间件自己取消订阅时也把对应的teardown移出列表，避免列表越积越多。
+      const removeTeardown = teardowns.add(unsubscribe)
+      return () => {
+        removeTeardown()
+        unsubscribe()
+      }
+    }
+
     const middlewareAPI = { // 提供给中间件的接口。 
       getState: store.getState,
-      dispatch: (action) => dispatch(action)
+      dispatch: (action) => track(dispatch(action)),
+      subscribe,
+      addTeardown,
+      context
     }
 
 // 中间件是高阶函数，即返回值是函数，这里是利用闭包，先把api传进去。返回的函数长什么样？
 // 答：chain列表里的每个函数都接收一个dispatch（最右边的中间件接收到的是原始dispatch，
 // 其余中间件接收到的是经过它右侧的中间件层叠包装后的dispatch）为参数，然后返回一个包装过的dispatch。
     
-    chain = middlewares.map(middleware => middleware(middlewareAPI)) 
+    chain = middlewares.map((middleware, index) => {
+      const name = `"${middleware.name || 'anonymous'}" at index ${index}`
+      // 调用中间件时记下它的名字，它在构建期间dispatch的话报错信息里能指出是谁。
+      const link = guard.construct(name, () => middleware(middlewareAPI))
+      return (next) => guard.construct(name, () => link(next))
+    })
 
 // 加强dispatch，从这里可以看出，所谓中间件，其实是在函数内部包装原始dispatch，然后返回一个函数，
 // 看成是新的dispatch，而新的dispatch长什么样就完全取决于中间件了。
@@ -39,9 +106,77 @@ export default function applyMiddleware(...middlewares) {
 // 然后在内部又调用内层dispatch，传入新的action，上述过程会一直进行到最内层dispatch利用原始dispatch派发出原始action。
                                                          
     dispatch = compose(...chain)(store.dispatch)  
-      return {
+
+    const trackedDispatch = (action) => track(dispatch(action))
+
+    // 构建中间件链时被推迟的action，等链完整后再从头派发，这样它们也会经过所有中间件。
+    guard.flush(trackedDispatch)
+
+    /**
+     * Returns a Promise that resolves once every thenable returned from a
+     * dispatch has settled, including work started while waiting. Work that a
+     * middleware starts without returning it from `dispatch()` is not seen.
+     *
+     * @returns {Promise} A Promise resolving when no tracked work is pending.
+     */
+    function whenIdle() {
+      if (pendingWork.length === 0) {
+        return Promise.resolve()
+      }
+
+      const settle = () => undefined
+      return Promise.all(pendingWork.map(work => work.then(settle, settle)))
+        .then(whenIdle)
+    }
+
+    /**
+     * Dispatches an action and returns a Promise that settles with the outcome
+     * of the value returned by the middleware chain. The Promise never
+     * rejects: it resolves to `{ status: 'fulfilled', value }` or
+     * `{ status: 'rejected', reason }`.
+     *
+     * @param {any} action The action to dispatch.
+     * @returns {Promise} The settled handle.
+     */
+    function dispatchSettled(action) {
+      let result
+      try {
+        result = trackedDispatch(action)
+      } catch (reason) {
+        return Promise.resolve({ status: 'rejected', reason })
+      }
+
+      return Promise.resolve(result).then(
+        value => ({ status: 'fulfilled', value }),
+        reason => ({ status: 'rejected', reason })
+      )
+    }
+
+    /**
+     * Runs the teardown functions registered by the middleware, in the
+     * reverse order of registration, and removes the listeners the
+     * middleware added through `subscribe`. Teardowns registered afterwards
+     * run immediately. Calling `dispose()` again has no effect. If teardowns
+     * throw, the others still run, and the error is thrown afterwards. When
+     * several threw, the thrown error lists them in its `errors` property.
+     *
+     * @returns {void}
+     */
+    function dispose() {
+      if (isDisposed) {
+        return
+      }
+
+      isDisposed = true
+      teardowns.run()
+    }
+
+    return {
       ...store,
-      dispatch
+      dispatch: trackedDispatch,
+      whenIdle,
+      dispatchSettled,
+      dispose
     }
   }
 }
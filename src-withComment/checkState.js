@@ -0,0 +1,271 @@
+import warning from './utils/warning'
+import isPrivateAction from './utils/isPrivateAction'
+import isTraversable from './utils/isTraversable'
+import isSameValue from './utils/isSameValue'
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : String(key)
+}
+
+function describePath(path) {
+  return path ? `the path "${path}"` : 'the root'
+}
+
+// 默认只有原始值、普通对象和数组可以序列化
+function isDefaultSerializable(value) {
+  const type = typeof value
+  return value === null ||
+    type === 'undefined' ||
+    type === 'string' ||
+    type === 'boolean' ||
+    type === 'number' ||
+    isTraversable(value)
+}
+
+function describeValue(value) {
+  if (typeof value === 'function') {
+    return `a function${value.name ? ` named "${value.name}"` : ''}`
+  }
+  return String(Object.prototype.toString.call(value))
+}
+
+// 记下 value 及其所有子属性的引用，忽略的路径不再深入
+function trackProperties(value, ignoredPaths, path = '') {
+  if (!isTraversable(value) || ignoredPaths.indexOf(path) !== -1) {
+    return { value }
+  }
+
+  const children = {}
+  Object.keys(value).forEach(key => {
+    children[key] = trackProperties(
+      value[key], ignoredPaths, joinPath(path, key)
+    )
+  })
+  return { value, children }
+}
+
+/**
+ * Compares a value with the properties tracked from it earlier. Returns the
+ * path of the first property that was changed in place, that is, whose
+ * parent is still the same object while the property itself is not.
+ * 把 value 和之前记下的属性对比，返回第一个被原地修改的属性路径，
+ * 即父对象还是同一个对象，而它自己却变了。
+ */
+function findMutation(tracked, value, isParentUnchanged = false, path = '') {
+  if (isParentUnchanged && !isSameValue(tracked.value, value)) { // 两个 NaN 视为相同，其他不同的值都算修改
+    return { path }
+  }
+
+  if (!tracked.children || !isTraversable(value)) {
+    return null
+  }
+
+  const isUnchanged = tracked.value === value
+  const keys = Object.keys(tracked.children).concat( // 原有的 key 加上新增的 key
+    Object.keys(value).filter(key => !tracked.children.hasOwnProperty(key))
+  )
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i]
+    const mutation = findMutation(
+      tracked.children[key] || { value: undefined },
+      value[key],
+      isUnchanged,
+      joinPath(path, key)
+    )
+    if (mutation) {
+      return mutation
+    }
+  }
+  return null
+}
+
+// 找出第一个不能序列化的值及其路径
+function findNonSerializable(value, isSerializable, ignoredPaths, path = '') {
+  if (ignoredPaths.indexOf(path) !== -1) {
+    return null
+  }
+
+  if (!isSerializable(value)) {
+    return { path, value }
+  }
+
+  if (!isTraversable(value)) {
+    return null
+  }
+
+  const keys = Object.keys(value)
+  for (let i = 0; i < keys.length; i++) {
+    const found = findNonSerializable(
+      value[keys[i]],
+      isSerializable,
+      ignoredPaths,
+      joinPath(path, keys[i])
+    )
+    if (found) {
+      return found
+    }
+  }
+  return null
+}
+
+/**
+ * Creates a store enhancer for development that catches two common mistakes:
+ * changing the state in place, and putting values into actions or the state
+ * that cannot be serialized.
+ *
+ * The reference checks of `combineReducers()` cannot see an object that was
+ * changed in place, so the components reading it are not updated. This
+ * enhancer remembers every property of the state after each dispatch, and
+ * throws an error naming the key path of the first mutation it finds, both
+ * for mutations made between two dispatches and for mutations a reducer
+ * makes to the previous state.
+ *
+ * Functions, Promises, Dates, Maps and other class instances cannot be
+ * serialized, which breaks persistence, time travel and server rendering.
+ * A warning naming the key path is printed for the first such value found in
+ * each action and in the state after each dispatch. Private `@@redux/`
+ * actions are not checked.
+ *
+ * Both checks walk the whole state on every dispatch, so the enhancer does
+ * nothing when `process.env.NODE_ENV` is `'production'`.
+ *
+ * 用于开发环境的 store enhancer，捕捉两种常见错误：原地修改 state，以及在 action
+ * 或 state 中放入不能序列化的值。每次 dispatch 后记下 state 的所有属性，发现原地
+ * 修改时抛出错误并指出路径，包括两次 dispatch 之间的修改和 reducer 对旧 state 的
+ * 修改。不能序列化的值会打印警告并指出路径。两项检查每次都要遍历整个 state，
+ * 所以生产环境下什么也不做。
+ *
+ * @param {Object} [options] Checking options.
+ *
+ * @param {boolean} [options.immutability=true] Whether to check for
+ * mutations.
+ *
+ * @param {boolean} [options.serializability=true] Whether to check for
+ * values that cannot be serialized.
+ *
+ * @param {string[]} [options.ignoredPaths] Dotted paths of the state that are
+ * not checked, such as a slice deliberately holding a `Map`.
+ *
+ * @param {string[]} [options.ignoredActionPaths] Dotted paths of the actions
+ * that are not checked, such as `meta.resolve`.
+ *
+ * @param {Function} [options.isSerializable] Decides whether a value can be
+ * serialized. By default, only primitives, plain objects and arrays can.
+ *
+ * @returns {Function} A store enhancer checking the state.
+ */
+export default function checkState(options = {}) {
+  const {
+    immutability = true,
+    serializability = true,
+    ignoredPaths = [],
+    ignoredActionPaths = [],
+    isSerializable = isDefaultSerializable
+  } = options
+
+  if (!Array.isArray(ignoredPaths) || !Array.isArray(ignoredActionPaths)) {
+    throw new Error('Expected the ignored paths to be arrays of dotted paths.')
+  }
+
+  if (typeof isSerializable !== 'function') {
+    throw new Error('Expected isSerializable to be a function.')
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    return (createStore) => createStore // 生产环境下不做任何检查
+  }
+
+  return (createStore) => (reducer, preloadedState, storeOptions) => {
+    let trackedState = null // 上一次记下的 state 属性
+
+    function checkMutations(state, action) {
+      if (!trackedState || trackedState.value !== state) { // state 被整个替换（如 replaceReducer、其他 enhancer）时重新记录
+        trackedState = trackProperties(state, ignoredPaths)
+        return
+      }
+
+      const mutation = findMutation(trackedState, state)
+      if (mutation) {
+        trackedState = null
+        throw new Error(
+          `A state mutation was detected between dispatches, in ` + // 两次 dispatch 之间的修改
+          `${describePath(mutation.path)}. This may cause incorrect behavior. ` +
+          `It happened before the action "${String(action.type)}".`
+        )
+      }
+    }
+
+    function checkSerializability(action, nextState) {
+      if (!isPrivateAction(action)) { // 私有 action 不检查
+        const found = findNonSerializable(
+          action, isSerializable, ignoredActionPaths
+        )
+        if (found) {
+          warning(
+            `A non-serializable value was detected in the action ` +
+            `"${String(action.type)}", in ${describePath(found.path)}: ` +
+            `${describeValue(found.value)}.`
+          )
+        }
+      }
+
+      const found = findNonSerializable(nextState, isSerializable, ignoredPaths)
+      if (found) {
+        warning(
+          `A non-serializable value was detected in the state, in ` +
+          `${describePath(found.path)}: ${describeValue(found.value)}. ` +
+          `It was found after the action "${String(action.type)}".`
+        )
+      }
+    }
+
+    function checkReducer(currentReducer) {
+      return function checkedReducer(state, action) {
+        if (immutability) {
+          checkMutations(state, action) // 调用 reducer 之前检查
+        }
+
+        const nextState = currentReducer(state, action)
+
+        if (immutability) {
+          const mutation = findMutation(trackedState, state)
+          if (mutation) {
+            trackedState = null
+            throw new Error(
+              `A state mutation was detected inside a dispatch, in ` + // reducer 修改了旧 state
+              `${describePath(mutation.path)}. Take a look at the reducer ` +
+              `handling the action "${String(action.type)}".`
+            )
+          }
+          // 记下新 state，供下一次检查使用
+          trackedState = trackProperties(nextState, ignoredPaths)
+        }
+
+        if (serializability) {
+          checkSerializability(action, nextState)
+        }
+
+        return nextState
+      }
+    }
+
+    const store = createStore(
+      checkReducer(reducer),
+      preloadedState,
+      storeOptions
+    )
+
+    function replaceReducer(nextReducer, action) {
+      if (typeof nextReducer !== 'function') {
+        throw new Error('Expected the nextReducer to be a function.')
+      }
+
+      store.replaceReducer(checkReducer(nextReducer), action)
+    }
+
+    return {
+      ...store,
+      replaceReducer
+    }
+  }
+}
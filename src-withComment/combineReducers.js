@@ -1,6 +1,16 @@
 import { ActionTypes } from './createStore'
 import isPlainObject from 'lodash/isPlainObject'
 import warning from './utils/warning'
+import {
+  plainObjectAdapter,
+  assertStateAdapter,
+  finalizeState
+} from './stateAdapters'
+
+// 拼出嵌套reducer的完整路径，例如 entities.users，用于报错和警告信息。
+function getKeyPath(parentPath, key) {
+  return parentPath ? `${parentPath}.${key}` : key
+}
 
 
 // 用于抛异常，异常里包含了 返回了undefined的分支reducer 的信息。
@@ -17,12 +27,13 @@ function getUndefinedStateErrorMessage(key, action) {
 }
 
 // 该函数对state形状存在的异常情况做统一处理，返回警告信息。
-function getUnexpectedStateShapeWarningMessage(inputState, reducers, action, unexpectedKeyCache) { 
+function getUnexpectedStateShapeWarningMessage(inputState, reducers, action, unexpectedKeyCache, keyPath, adapter) { 
   const reducerKeys = Object.keys(reducers)
   const argumentName = action && action.type === ActionTypes.INIT ? // 判断是否在进行state的初始化
     'preloadedState argument passed to createStore' : // 初始化时传入的state是preloadState。参考 createStore.js源码 第58行、第170行
     'previous state received by the reducer' // 如果action不是 ActionTypes.INIT，说明已经存在了 旧state （ ActionTypes.INIT始终是第一个被派发的动作，
                                               // 参考createStore.js源码 第245行 ）
+  const location = keyPath ? ` at "${keyPath}"` : ''
 
   if (reducerKeys.length === 0) { // 没有解析出有效的reducer，说明传入参数reducers不符要求。
     return (
@@ -31,10 +42,10 @@ function getUnexpectedStateShapeWarningMessage(inputState, reducers, action, une
     )
   }
 
- // 使用combineReducers时，state一定是object类型，如果不是，则可能是preloadedState类型错误，或reducer计算出的state有误。
-  if (!isPlainObject(inputState)) { 
+ // 使用combineReducers时，state一定是adapter认可的容器类型（默认是纯object），如果不是，则可能是preloadedState类型错误，或reducer计算出的state有误。
+  if (!adapter.is(inputState)) { 
     return (
-      `The ${argumentName} has unexpected type of "` +
+      `The ${argumentName}${location} has unexpected type of "` +
       ({}).toString.call(inputState).match(/\s([a-z|A-Z]+)/)[1] +
       `". Expected argument to be an object with the following ` +
       `keys: "${reducerKeys.join('", "')}"`
@@ -42,7 +53,7 @@ function getUnexpectedStateShapeWarningMessage(inputState, reducers, action, une
   }
   // 过滤出state中不应该存在的多余的key，要保证state的key的正确性，当然多余的key不会引起什么严重问题，
   // 只是这些key没有相应的reducer进行计算。
-  const unexpectedKeys = Object.keys(inputState).filter(key => 
+  const unexpectedKeys = adapter.keys(inputState).filter(key => 
     !reducers.hasOwnProperty(key) &&
     !unexpectedKeyCache[key]
   )
@@ -54,22 +65,23 @@ function getUnexpectedStateShapeWarningMessage(inputState, reducers, action, une
   if (unexpectedKeys.length > 0) {
     return (
       `Unexpected ${unexpectedKeys.length > 1 ? 'keys' : 'key'} ` +
-      `"${unexpectedKeys.join('", "')}" found in ${argumentName}. ` +
+      `"${unexpectedKeys.join('", "')}" found in ${argumentName}${location}. ` +
       `Expected to find one of the known reducer keys instead: ` +
       `"${reducerKeys.join('", "')}". Unexpected keys will be ignored.`
     )
   }
 }
 
-function assertReducerShape(reducers) { // 试探分支reducer内条件的默认分支，不允许返回undefined
+function assertReducerShape(reducers, keyPath, rootState) { // 试探分支reducer内条件的默认分支，不允许返回undefined
   Object.keys(reducers).forEach(key => {
     const reducer = reducers[key]
-    const initialState = reducer(undefined, { type: ActionTypes.INIT }) // 获取到分支的初始state
+    const reducerPath = getKeyPath(keyPath, key)
+    const initialState = reducer(undefined, { type: ActionTypes.INIT }, rootState) // 获取到分支的初始state
   
     // 如果分支state为undefined则抛出错误，不允许初始state为undefined。reducer如果返回null则会跳过此提示，所以初始化允许null。
     if (typeof initialState === 'undefined') { 
       throw new Error(
-        `Reducer "${key}" returned undefined during initialization. ` +
+        `Reducer "${reducerPath}" returned undefined during initialization. ` +
         `If the state passed to the reducer is undefined, you must ` +
         `explicitly return the initial state. The initial state may ` +
         `not be undefined. If you don't want to set a value for this reducer, ` +
@@ -78,11 +90,11 @@ function assertReducerShape(reducers) { // 试探分支reducer内条件的默认
     }
 
     const type = '@@redux/PROBE_UNKNOWN_ACTION_' + Math.random().toString(36).substring(7).split('').join('.')
-    if (typeof reducer(undefined, { type }) === 'undefined') { 
+    if (typeof reducer(undefined, { type }, rootState) === 'undefined') { 
       // 上面如果没有抛出错误，还存在一种例外情况，就是人为地在reducer内加入了ActionTypes.INIT，
       // 且返回值不为undefined。为了防止这种行为，这里使用随机type值进行探测。
       throw new Error(
-        `Reducer "${key}" returned undefined when probed with a random type. ` +
+        `Reducer "${reducerPath}" returned undefined when probed with a random type. ` +
         `Don't try to handle ${ActionTypes.INIT} or other actions in "redux/*" ` +
         `namespace. They are considered private. Instead, you must return the ` +
         `current state for any unknown actions, unless it is undefined, ` +
@@ -93,40 +105,63 @@ function assertReducerShape(reducers) { // 试探分支reducer内条件的默认
   })
 }
 
+function orderReducerKeys(reducerKeys, order) {
+  if (!order) {
+    return reducerKeys
+  }
+
+  if (process.env.NODE_ENV !== 'production') {
+    order.forEach(key => {
+      if (reducerKeys.indexOf(key) === -1) {
+        warning(`The order passed to combineReducers names unknown key "${key}".`)
+      }
+    })
+  }
+
+  const orderedKeys = order.filter(key => reducerKeys.indexOf(key) !== -1)
+  return orderedKeys.concat(
+    reducerKeys.filter(key => orderedKeys.indexOf(key) === -1)
+  )
+}
+
+// 复制一份根state视图（传了key时顺便写入新的slice），开发环境下冻结普通对象，
+// 这样reducer往视图里写东西也不会影响到store里真正的state。
+function copyRootStateView(adapter, view, key, value) {
+  let nextView = adapter.create()
+  adapter.keys(view).forEach(viewKey => {
+    nextView = adapter.set(nextView, viewKey, adapter.get(view, viewKey))
+  })
+  if (typeof key !== 'undefined') {
+    nextView = adapter.set(nextView, key, value)
+  }
+  nextView = finalizeState(adapter, nextView)
+
+  if (process.env.NODE_ENV !== 'production' && isPlainObject(nextView)) {
+    Object.freeze(nextView)
+  }
+  return nextView
+}
+
+function annotateReducerError(error, reducerKey) {
+  if (
+    error !== null &&
+    typeof error === 'object' &&
+    Object.isExtensible(error) &&
+    !Object.prototype.hasOwnProperty.call(error, 'reducerKey')
+  ) {
+    error.reducerKey = reducerKey
+  }
+  return error
+}
+
 /**
- * Turns an object whose values are different reducer functions, into a single
- * reducer function. It will call every child reducer, and gather their results
- * into a single state object, whose keys correspond to the keys of the passed
- * reducer functions.
- *
- * @param {Object} reducers An object whose values correspond to different
- * reducer functions that need to be combined into one. One handy way to obtain
- * it is to use ES6 `import * as reducers` syntax. The reducers may never return
- * undefined for any action. Instead, they should return their initial state
- * if the state passed to them was undefined, and the current state for any
- * unrecognized action.
- *
- * @returns {Function} A reducer function that invokes every reducer inside the
- * passed object, and builds a state object with the same shape.
- * 
- * 参数 :
- * {
- *    r1: reducer_1,
- *    r2: reducer_2,
- *      ....
- *    rn: reducer_n
- * }
- * 返回 reducer
- * 该reducer 的 state 像这样计算,即每个子reducer计算一个分支。
- * {
- *    r1:reducer_1(state.r1),
- *    r2:reducer_2(state.r2),
- *        ....
- *    rn:reducer_n(state.rn)
- * }
- * 
+ * Combines the reducers of one level of a reducer tree found at `keyPath`, so
+ * that errors and warnings name the full dotted path of each slice. It is
+ * also used by `createReducerManager()`, which builds its levels one by one.
+ * 合并 keyPath 处这一层的 reducer，报错和警告中使用切片完整的点号路径。
  */
-export default function combineReducers(reducers) {
+export function combineReducersAtPath(reducers, keyPath, options) {
+  const { adapter, rootState: rootStateMode } = options
   const reducerKeys = Object.keys(reducers) // 读取reducers对象的key，作为state的分支的key
   const finalReducers = {}
   for (let i = 0; i < reducerKeys.length; i++) {
@@ -134,15 +169,20 @@ export default function combineReducers(reducers) {
 
     if (process.env.NODE_ENV !== 'production') { // 生产环境下不提醒
       if (typeof reducers[key] === 'undefined') { // reducers 某分支下没有reducer时给予警告
-        warning(`No reducer provided for key "${key}"`)
+        warning(`No reducer provided for key "${getKeyPath(keyPath, key)}"`)
       }
     }
 
     if (typeof reducers[key] === 'function') { // reducer存在时保存进finalReducers对象
       finalReducers[key] = reducers[key]
+    } else if (isPlainObject(reducers[key])) { // 嵌套的reducers对象递归合并，并带上完整路径用于报错
+      finalReducers[key] = combineReducersAtPath(reducers[key], getKeyPath(keyPath, key), options)
     }
   }
-  const finalReducerKeys = Object.keys(finalReducers) // 过滤掉reducers中无效的key
+  // 过滤掉reducers中无效的key。最外层按options.order排序，决定各分支reducer的执行顺序。
+  const finalReducerKeys = keyPath ?
+    Object.keys(finalReducers) :
+    orderReducerKeys(Object.keys(finalReducers), options.order)
 
   let unexpectedKeyCache
   if (process.env.NODE_ENV !== 'production') { // 非生产环境下初始化为空对象，用于收集state中无效的key
@@ -151,37 +191,138 @@ export default function combineReducers(reducers) {
 
   let shapeAssertionError
   try {
-    assertReducerShape(finalReducers)
+    assertReducerShape(finalReducers, keyPath, rootStateMode ? adapter.create() : undefined)
   } catch (e) {
     shapeAssertionError = e // 如果有错误，暂时不抛出，而是在输出的reducer被调用时抛出。
   }
 
-  return function combination(state = {}, action) {
+  return function combination(state = adapter.create(), action, rootState) {
     if (shapeAssertionError) {
       throw shapeAssertionError
     }
 
     if (process.env.NODE_ENV !== 'production') { // 非生产环境下给予警告
-      const warningMessage = getUnexpectedStateShapeWarningMessage(state, finalReducers, action, unexpectedKeyCache)
+      const warningMessage = getUnexpectedStateShapeWarningMessage(state, finalReducers, action, unexpectedKeyCache, keyPath, adapter)
       if (warningMessage) {
         warning(warningMessage)
       }
     }
 
+    // 嵌套的combination直接沿用上层传下来的根state视图，最外层才自己创建。
+    const isRootStateForwarded = typeof rootState !== 'undefined'
+    let rootStateView = rootState
+    if (!isRootStateForwarded && rootStateMode) {
+      // 生产环境直接把当前state当视图，省去复制。
+      rootStateView = process.env.NODE_ENV !== 'production' ?
+        copyRootStateView(adapter, state) :
+        state
+    }
+
     let hasChanged = false 
-    const nextState = {} // 新 state
+    let nextState = adapter.create() // 新 state
     for (let i = 0; i < finalReducerKeys.length; i++) { // 计算新state
       const key = finalReducerKeys[i] // 分支 key
       const reducer = finalReducers[key] // 分支 reducer
-      const previousStateForKey = state[key] // 分支 旧state
-      const nextStateForKey = reducer(previousStateForKey, action) // 调用分支reducer，传入分支旧state 和 action，得到分支 新state
+      const previousStateForKey = adapter.get(state, key) // 分支 旧state
+      let nextStateForKey
+      try {
+        nextStateForKey = reducer(previousStateForKey, action, rootStateView) // 调用分支reducer，传入分支旧state 和 action，得到分支 新state
+      } catch (e) {
+        // 在错误上记下出错分支的路径，最内层的分支优先。
+        throw annotateReducerError(e, getKeyPath(keyPath, key))
+      }
       if (typeof nextStateForKey === 'undefined') { // 分支 state不允许为 undefined，但允许为null。
-        const errorMessage = getUndefinedStateErrorMessage(key, action)
-        throw new Error(errorMessage)
+        const errorMessage = getUndefinedStateErrorMessage(getKeyPath(keyPath, key), action)
+        throw annotateReducerError(new Error(errorMessage), getKeyPath(keyPath, key))
       }
-      nextState[key] = nextStateForKey // 存入
+      nextState = adapter.set(nextState, key, nextStateForKey) // 存入
       hasChanged = hasChanged || nextStateForKey !== previousStateForKey // 有一个分支计算的state发生改变则算作改变。
+      // progressive模式下，后面的分支能看到前面分支刚算出的新state。视图是新建的，不影响hasChanged的判断。
+      if (
+        rootStateMode === 'progressive' &&
+        !isRootStateForwarded &&
+        nextStateForKey !== previousStateForKey
+      ) {
+        rootStateView = copyRootStateView(adapter, rootStateView, key, nextStateForKey)
+      }
     }
-    return hasChanged ? nextState : state // state改变了就返回新state，否则仍旧返回传入的state，这是reducer的设计原则之一。
+    return hasChanged ? finalizeState(adapter, nextState) : state // state改变了就返回新state，否则仍旧返回传入的state，这是reducer的设计原则之一。
   }
 }
+
+/**
+ * Turns an object whose values are different reducer functions, into a single
+ * reducer function. It will call every child reducer, and gather their results
+ * into a single state object, whose keys correspond to the keys of the passed
+ * reducer functions.
+ *
+ * @param {Object} reducers An object whose values correspond to different
+ * reducer functions that need to be combined into one. One handy way to obtain
+ * it is to use ES6 `import * as reducers` syntax. The reducers may never return
+ * undefined for any action. Instead, they should return their initial state
+ * if the state passed to them was undefined, and the current state for any
+ * unrecognized action.
+ * A value may also be a nested object of reducers, which is combined the same
+ * way into the corresponding nested state object. Errors about a nested
+ * reducer name its full dotted path, such as `entities.users`.
+ * When a reducer throws, the error gets a `reducerKey` property holding the
+ * dotted path of the failing slice, unless a nested reducer has set it already.
+ *
+ * @param {Object} [options] Options for the combined reducer.
+ *
+ * @param {Object} [options.adapter] The state adapter used to read and build
+ * the combined state, and the state of nested reducer objects. Defaults to
+ * plain objects. Redux ships `mapAdapter` for ES `Map` state and
+ * `frozenObjectAdapter` for frozen plain objects.
+ *
+ * @param {string} [options.rootState] Lets every reducer read the root state
+ * through a third argument, for reducers that depend on sibling slices. With
+ * `'previous'`, each reducer receives the root state as it was before the
+ * action. With `'progressive'`, each reducer receives the root state updated
+ * with the slices computed before it. Reducers of nested objects receive the
+ * same view as their parent. The view is read-only: in development it is a
+ * copy of the root state, frozen when it is a plain object, so that writes to
+ * it never reach the store. The combined reducer still returns the previous
+ * state when no slice has changed.
+ *
+ * @param {string[]} [options.order] The order in which the top-level reducers
+ * run. Keys that are not listed run afterwards, in the order of `reducers`.
+ *
+ * @returns {Function} A reducer function that invokes every reducer inside the
+ * passed object, and builds a state object with the same shape.
+ * 
+ * 参数 :
+ * {
+ *    r1: reducer_1,
+ *    r2: reducer_2,
+ *      ....
+ *    rn: reducer_n
+ * }
+ * 返回 reducer
+ * 该reducer 的 state 像这样计算,即每个子reducer计算一个分支。
+ * {
+ *    r1:reducer_1(state.r1),
+ *    r2:reducer_2(state.r2),
+ *        ....
+ *    rn:reducer_n(state.rn)
+ * }
+ * 
+ */
+export default function combineReducers(reducers, options = {}) {
+  const { adapter = plainObjectAdapter, rootState, order } = options
+  assertStateAdapter(adapter)
+
+  if (
+    typeof rootState !== 'undefined' &&
+    rootState !== 'previous' &&
+    rootState !== 'progressive'
+  ) {
+    throw new Error('Expected the rootState option to be "previous" or "progressive".')
+  }
+
+  if (typeof order !== 'undefined' && !Array.isArray(order)) {
+    throw new Error('Expected the order option to be an array of reducer keys.')
+  }
+
+  return combineReducersAtPath(reducers, '', { adapter, rootState, order })
+}
@@ -0,0 +1,175 @@
+import createStore, { ActionTypes } from './createStore'
+import $$observable from 'symbol-observable'
+import isPlainObject from 'lodash/isPlainObject'
+
+// 检查每个 store 的接口，key 中不能含有命名空间的分隔符
+function assertStores(stores, separator) {
+  if (!isPlainObject(stores) || Object.keys(stores).length === 0) {
+    throw new Error('Expected the stores to be a non-empty plain object.')
+  }
+
+  Object.keys(stores).forEach(key => {
+    const store = stores[key]
+    if (
+      !store ||
+      typeof store.dispatch !== 'function' ||
+      typeof store.subscribe !== 'function' ||
+      typeof store.getState !== 'function'
+    ) {
+      throw new Error(
+        `Expected the store for "${key}" to have dispatch, subscribe and ` +
+        `getState methods.`
+      )
+    }
+
+    if (key.indexOf(separator) !== -1) {
+      throw new Error(
+        `The key "${key}" may not contain the namespace separator ` +
+        `"${separator}".`
+      )
+    }
+  })
+}
+
+/**
+ * Composes stores that were created separately, each with its own reducer
+ * and middleware, under a root store. This lets independently built parts of
+ * an application keep their own store while the host reads and dispatches
+ * through a single one.
+ *
+ * The state of the root store is an object holding the state of each store
+ * under its key. Root subscribers are notified whenever one of the stores
+ * changes, with a private `@@redux/STORE_CHANGED` action carrying the `key`
+ * of the store and the `action` it handled.
+ *
+ * An action whose type starts with the key of a store and the separator,
+ * such as `cart/addItem`, is dispatched to that store only, and `dispatch()`
+ * returns what the store's `dispatch()` returned. Any other action is
+ * dispatched to every store in a single batch, and `dispatch()` returns the
+ * action. Thunks and other non-object actions cannot be broadcast, because
+ * their side effects would run once per store. Dispatch them to their own
+ * store instead.
+ *
+ * The root store has no reducer of its own, so it has no `replaceReducer()`
+ * method. Call `dispose()` to stop listening to the stores.
+ *
+ * 把各自拥有 reducer 和中间件、分别创建的 store 组合到一个根 store 下。根 state
+ * 是把每个 store 的 state 放在对应 key 下的对象，任一 store 变化时，根 store 的
+ * 订阅者会收到私有的 @@redux/STORE_CHANGED action。type 以某个 store 的 key 加
+ * 分隔符开头的 action（如 cart/addItem）只派发给那个 store，其他 action 在一次
+ * batch 中派发给所有 store。thunk 等非对象的 action 不能广播，否则副作用会执行
+ * 多次。根 store 没有自己的 reducer，所以没有 replaceReducer()。
+ *
+ * @param {Object} stores The stores to compose, keyed by their slice of the
+ * root state.
+ *
+ * @param {Object} [options] Composition options.
+ *
+ * @param {string} [options.separator='/'] What separates the key of a store
+ * from the rest of the action type.
+ *
+ * @param {boolean} [options.stripNamespace=true] Whether to remove the key
+ * and the separator from the type of an action before it is dispatched to
+ * its store, so that `cart/addItem` reaches the store as `addItem`.
+ *
+ * @returns {Store} The root store.
+ */
+export default function composeStores(stores, options = {}) {
+  const { separator = '/', stripNamespace = true } = options
+
+  if (typeof separator !== 'string' || separator.length === 0) {
+    throw new Error('Expected the separator to be a non-empty string.')
+  }
+
+  assertStores(stores, separator)
+
+  const keys = Object.keys(stores)
+  let combinedState // 上一次组合出的根 state
+
+  // 作为根 store 的 reducer：读取每个 store 的 state，没有变化时返回原来的对象
+  function combineStates() {
+    let hasChanged = typeof combinedState === 'undefined'
+    const nextState = {}
+    keys.forEach(key => {
+      nextState[key] = stores[key].getState()
+      hasChanged = hasChanged || nextState[key] !== combinedState[key]
+    })
+
+    if (hasChanged) {
+      combinedState = nextState
+    }
+    return combinedState
+  }
+
+  const root = createStore(combineStates) // 根 store 只负责通知订阅者和提供 getState
+
+  const unsubscribes = keys.map(key =>
+    stores[key].subscribe(action => {
+      root.dispatch({ type: ActionTypes.STORE_CHANGED, key, action })
+    }, { skipUnchanged: true }) // state 没有变化时不通知根 store
+  )
+
+  // 从 action 的 type 中找出目标 store 的 key，没有时返回 null
+  function getTargetKey(action) {
+    if (!isPlainObject(action) || typeof action.type !== 'string') {
+      return null
+    }
+
+    const index = action.type.indexOf(separator)
+    const key = index === -1 ? null : action.type.slice(0, index)
+    return key !== null && stores.hasOwnProperty(key) ? key : null
+  }
+
+  /**
+   * Dispatches an action to the store named by its type, or to every store.
+   *
+   * @param {any} action The action to dispatch.
+   * @returns {any} What the store returned for a routed action, otherwise
+   * the action itself.
+   */
+  function dispatch(action) {
+    const key = getTargetKey(action)
+    if (key !== null) {
+      const type = action.type.slice(key.length + separator.length)
+      return stores[key].dispatch(
+        stripNamespace ? { ...action, type } : action // 去掉命名空间后再派发给对应的 store
+      )
+    }
+
+    if (!isPlainObject(action)) {
+      throw new Error(
+        'Only plain object actions can be dispatched to composed stores. ' +
+        'Dispatch thunks and other async actions to their own store.'
+      )
+    }
+
+    root.batch(() => { // 放在一个 batch 中，根 store 的订阅者只被通知一次
+      keys.forEach(storeKey => {
+        stores[storeKey].dispatch(action)
+      })
+    })
+    return action
+  }
+
+  /**
+   * Stops listening to the composed stores. The root state is not updated
+   * anymore afterwards.
+   *
+   * @returns {void}
+   */
+  function dispose() {
+    while (unsubscribes.length > 0) {
+      unsubscribes.pop()()
+    }
+  }
+
+  return {
+    dispatch,
+    subscribe: root.subscribe,
+    watch: root.watch,
+    batch: root.batch,
+    getState: root.getState,
+    dispose,
+    [$$observable]: root[$$observable]
+  }
+}
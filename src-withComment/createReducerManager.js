@@ -0,0 +1,291 @@
+import { combineReducersAtPath } from './combineReducers'
+import { ActionTypes } from './createStore'
+import isPlainObject from 'lodash/isPlainObject'
+import { plainObjectAdapter } from './stateAdapters'
+
+function getPath(key) {
+  if (typeof key !== 'string' || key.length === 0) {
+    throw new Error('Expected the reducer key to be a non-empty string.') // key 必须是非空字符串
+  }
+
+  const path = key.split('.') // 按点号拆成路径，如 'admin.users' -> ['admin', 'users']
+  if (path.some(segment => segment.length === 0)) {
+    throw new Error(`Reducer key "${key}" is not a valid dotted path.`)
+  }
+
+  return path
+}
+
+// 深拷贝 reducer 映射，只保留函数和嵌套的普通对象
+function copyReducerMap(reducerMap) {
+  const copy = {}
+  Object.keys(reducerMap).forEach(key => {
+    const reducer = reducerMap[key]
+    if (typeof reducer === 'function') {
+      copy[key] = reducer
+    } else if (isPlainObject(reducer)) {
+      copy[key] = copyReducerMap(reducer)
+    }
+  })
+  return copy
+}
+
+// 返回去掉 path 所指切片后的新 state，路径不存在时原样返回
+function omitPath(state, path) {
+  if (!isPlainObject(state) || !state.hasOwnProperty(path[0])) {
+    return state
+  }
+
+  const [key, ...rest] = path
+  const nextState = { ...state }
+  if (rest.length === 0) {
+    delete nextState[key]
+    return nextState
+  }
+
+  const nextStateForKey = omitPath(state[key], rest) // 递归处理下一层
+  if (nextStateForKey === state[key]) {
+    return state
+  }
+
+  // A level is only dropped once nothing else is left in it, so that state
+  // waiting for reducers that have not been injected yet is kept.
+  if (
+    isPlainObject(nextStateForKey) &&
+    Object.keys(nextStateForKey).length === 0
+  ) { // 这一层已经空了才删除，等待注入的 state 得以保留
+    delete nextState[key]
+  } else {
+    nextState[key] = nextStateForKey
+  }
+  return nextState
+}
+
+/**
+ * Builds the reducer for one level of the reducer map. Keys of the state that
+ * have no reducer at this level are kept as they are, so that state preloaded
+ * for reducers which have not been injected yet survives until they are.
+ * Errors name the full dotted path of the failing slice, starting from
+ * `keyPath`.
+ * 为 reducer 映射的某一层生成 reducer。state 中在这一层没有对应 reducer 的 key
+ * 会原样保留，这样为尚未注入的 reducer 预先加载的 state 不会丢失。
+ */
+function createLevelReducer(reducerMap, keyPath = '') {
+  const keys = Object.keys(reducerMap)
+  if (keys.length === 0) {
+    return (state = {}) => state // 这一层没有任何 reducer 时，原样返回 state
+  }
+
+  const reducers = {}
+  keys.forEach(key => {
+    const reducer = reducerMap[key]
+    reducers[key] = typeof reducer === 'function' ?
+      reducer :
+      createLevelReducer(reducer, keyPath ? `${keyPath}.${key}` : key) // 嵌套对象递归生成下一层的 reducer
+  })
+  const combination = combineReducersAtPath(reducers, keyPath, {
+    adapter: plainObjectAdapter
+  })
+
+  return function levelReducer(state, action) {
+    if (!isPlainObject(state)) {
+      return combination(state, action)
+    }
+
+    const knownState = {}
+    const unknownState = {}
+    let hasUnknownKeys = false
+    Object.keys(state).forEach(key => {
+      if (reducers.hasOwnProperty(key)) {
+        knownState[key] = state[key]
+      } else {
+        unknownState[key] = state[key]
+        hasUnknownKeys = true
+      }
+    })
+
+    if (!hasUnknownKeys) { // 全部 key 都有 reducer，直接交给 combineReducers
+      return combination(state, action)
+    }
+
+    const nextKnownState = combination(knownState, action) // 只把有 reducer 的部分交给 combination，避免多余 key 的警告
+    return nextKnownState === knownState ?
+      state :
+      { ...unknownState, ...nextKnownState } // 没有变化时返回原 state，保持引用不变
+  }
+}
+
+/**
+ * Creates a reducer manager, which lets reducers be added to and removed from
+ * a store after it has been created. This is useful for code splitting, where
+ * the reducers of a feature are only loaded together with the feature.
+ *
+ * The manager builds its root reducer with `combineReducers()`. Keys may be
+ * dotted paths such as `admin.users`, in which case the intermediate levels
+ * are combined as well, and errors name the full path of the failing slice.
+ * State found under keys whose reducers have not been injected yet is kept
+ * untouched, and no unexpected key warning is printed for it. When a reducer
+ * is removed, its slice is dropped from the state.
+ *
+ * Pass `reduce` to `createStore()` and then hand the store to `bindStore()`.
+ * From then on, every injection or removal calls `replaceReducer()` on the
+ * store with a private `@@redux/INJECT_REDUCER` or `@@redux/REMOVE_REDUCER`
+ * action that carries the affected `key`.
+ *
+ * 创建一个 reducer 管理器，在 store 创建之后也可以动态地注入和移除 reducer，
+ * 适合代码分割：某个功能的 reducer 随功能一起按需加载。key 可以是 'admin.users'
+ * 这样的点号路径。尚未注入 reducer 的 key 下的 state 会被原样保留，移除 reducer
+ * 时对应的切片也会从 state 中删除。
+ *
+ * @param {Object} [reducers] The reducers the store starts with. Values may
+ * be reducer functions or nested objects of reducers.
+ *
+ * @returns {Object} The reducer manager.
+ */
+export default function createReducerManager(reducers = {}) {
+  if (!isPlainObject(reducers)) {
+    throw new Error('Expected the reducers to be a plain object.')
+  }
+
+  const reducerMap = copyReducerMap(reducers)
+  let combinedReducer = createLevelReducer(reducerMap)
+  let keysToRemove = [] // 等待下一次 reduce 时从 state 中删除的路径
+  let store // 通过 bindStore 绑定的 store
+
+  function replaceReducer(action) {
+    combinedReducer = createLevelReducer(reducerMap) // 按当前的 reducer 映射重新生成根 reducer
+    if (store) {
+      store.replaceReducer(reduce, action) // 通知 store 使用新的 reducer，并派发私有的 action
+    }
+  }
+
+  /**
+   * The root reducer that delegates to the currently injected reducers.
+   *
+   * @param {any} state The current state tree.
+   * @param {Object} action The action to handle.
+   * @returns {any} The next state tree.
+   */
+  function reduce(state, action) {
+    if (keysToRemove.length > 0) {
+      state = keysToRemove.reduce(omitPath, state) // 先删掉被移除的 reducer 留下的切片
+      keysToRemove = []
+    }
+
+    return combinedReducer(state, action)
+  }
+
+  /**
+   * Returns a copy of the nested map of the reducers currently in use.
+   *
+   * @returns {Object} The reducer map.
+   */
+  function getReducerMap() {
+    return copyReducerMap(reducerMap) // 返回拷贝，防止外部修改内部的映射
+  }
+
+  /**
+   * Connects the manager to the store created with its `reduce` function, so
+   * that later injections and removals replace the store's reducer.
+   *
+   * @param {Store} nextStore The store to update.
+   * @returns {void}
+   */
+  function bindStore(nextStore) {
+    if (!nextStore || typeof nextStore.replaceReducer !== 'function') {
+      throw new Error('Expected the store to have a replaceReducer method.')
+    }
+
+    store = nextStore
+  }
+
+  /**
+   * Adds a reducer under the given key, replacing the reducer already there.
+   *
+   * @param {string} key The key of the slice, or a dotted path to it.
+   * @param {Function} reducer The reducer for the slice.
+   * @returns {void}
+   */
+  function injectReducer(key, reducer) {
+    const path = getPath(key)
+    if (typeof reducer !== 'function') {
+      throw new Error(`Expected the reducer for "${key}" to be a function.`)
+    }
+
+    let level = reducerMap
+    for (let i = 0; i < path.length - 1; i++) {
+      const segment = path[i]
+      if (typeof level[segment] === 'function') { // 路径中间的某一级已经是 reducer，不能再往下嵌套
+        throw new Error(
+          `Cannot inject a reducer for "${key}" because ` +
+          `"${path.slice(0, i + 1).join('.')}" already has a reducer.`
+        )
+      }
+
+      if (!level.hasOwnProperty(segment)) {
+        level[segment] = {}
+      }
+      level = level[segment]
+    }
+
+    const leaf = path[path.length - 1]
+    if (level[leaf] === reducer) { // 同一个 reducer 重复注入时什么也不做
+      return
+    }
+
+    if (isPlainObject(level[leaf])) {
+      throw new Error(
+        `Cannot inject a reducer for "${key}" because it already holds ` +
+        `nested reducers.`
+      )
+    }
+
+    level[leaf] = reducer
+    replaceReducer({ type: ActionTypes.INJECT_REDUCER, key }) // 替换 store 的 reducer，新切片由此得到初始 state
+  }
+
+  /**
+   * Removes the reducer under the given key and drops its slice from the
+   * state. Levels of the reducer map left without any reducer are removed as
+   * well. Levels of the state are only removed once nothing else is left in
+   * them, so that state waiting for other reducers is kept.
+   *
+   * @param {string} key The key of the slice, or a dotted path to it.
+   * @returns {void}
+   */
+  function removeReducer(key) {
+    const path = getPath(key)
+    const levels = [reducerMap]
+    for (let i = 0; i < path.length - 1; i++) {
+      const level = levels[i][path[i]]
+      if (!isPlainObject(level)) {
+        return
+      }
+      levels.push(level)
+    }
+
+    const leaf = path[path.length - 1]
+    if (typeof levels[levels.length - 1][leaf] !== 'function') { // 这个 key 上没有 reducer，直接忽略
+      return
+    }
+
+    let depth = path.length - 1
+    delete levels[depth][leaf]
+    // 向上删除已经没有任何 reducer 的空层级
+    while (depth > 0 && Object.keys(levels[depth]).length === 0) {
+      depth--
+      delete levels[depth][path[depth]]
+    }
+
+    keysToRemove.push(path) // 只删除这个切片，上层的 state 在空了之后才删除
+    replaceReducer({ type: ActionTypes.REMOVE_REDUCER, key })
+  }
+
+  return {
+    reduce,
+    getReducerMap,
+    bindStore,
+    injectReducer,
+    removeReducer
+  }
+}
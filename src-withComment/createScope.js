@@ -0,0 +1,176 @@
+import isPlainObject from 'lodash/isPlainObject'
+
+// 读取 action.meta.scope，没有时返回 undefined
+function getActionScope(action) {
+  return isPlainObject(action) && isPlainObject(action.meta) ?
+    action.meta.scope :
+    undefined
+}
+
+/**
+ * Creates a scope for one instance of a reusable feature, such as one of
+ * several data grids on a page, so that every instance can use the same
+ * reducer and action creators while keeping its own state.
+ *
+ * Actions dispatched through a scope are tagged with its id in
+ * `action.meta.scope`. A reducer wrapped by the scope ignores actions tagged
+ * with another scope, and handles the actions tagged with its own scope as
+ * well as untagged ones, such as the private `@@redux/INIT` action or a
+ * global logout. Mount each wrapped reducer with `combineReducers()` under
+ * a key equal to the scope id, such as `left: leftScope.wrapReducer(grid)`.
+ *
+ * A view created by the scope is a store-like object whose `dispatch()` tags
+ * the actions, whose `getState()` returns the state of the instance, and
+ * whose `subscribe()` hands the listeners the state of the instance. It can
+ * be passed to anything expecting a store, including `bindActionCreators()`
+ * through its `dispatch`.
+ *
+ * 为可复用功能的一个实例创建作用域，比如页面上多个数据表格中的一个，让每个实例
+ * 使用同一套 reducer 和 action creator，却各自保存自己的 state。通过作用域派发的
+ * action 会在 action.meta.scope 上带有它的 id；包装后的 reducer 会忽略其他作用域
+ * 的 action，处理自己作用域和没有标记的 action（如 @@redux/INIT 或全局的登出）。
+ * 作用域创建的 view 是一个类似 store 的对象，可以传给任何需要 store 的地方。
+ *
+ * @param {string|number} id The id of the instance.
+ * @returns {Object} The scope, with its `id` and the `tagAction`,
+ * `wrapReducer` and `createView` functions.
+ */
+export default function createScope(id) {
+  if (
+    (typeof id !== 'string' && typeof id !== 'number') ||
+    id === ''
+  ) {
+    throw new Error(
+      'Expected the scope id to be a non-empty string or a number.'
+    )
+  }
+
+  /**
+   * Returns a copy of the action tagged with the id of this scope.
+   *
+   * @param {Object} action A plain object action.
+   * @returns {Object} The tagged action.
+   */
+  function tagAction(action) {
+    if (!isPlainObject(action)) {
+      throw new Error('Only plain object actions can be tagged with a scope.')
+    }
+
+    return {
+      ...action,
+      meta: { ...action.meta, scope: id } // 保留原有的 meta，只加上 scope
+    }
+  }
+
+  /**
+   * Wraps a reducer so that it ignores the actions of other scopes.
+   *
+   * @param {Function} reducer The reducer of one instance.
+   * @returns {Function} The scoped reducer.
+   */
+  function wrapReducer(reducer) {
+    if (typeof reducer !== 'function') {
+      throw new Error('Expected the reducer to be a function.')
+    }
+
+    return function scopedReducer(state, action) {
+      const scope = getActionScope(action)
+      if (
+        typeof state !== 'undefined' && // 第一次调用时总要交给 reducer，以得到初始 state
+        typeof scope !== 'undefined' &&
+        scope !== id // 属于其他作用域的 action，原样返回 state
+      ) {
+        return state
+      }
+
+      return reducer(state, action)
+    }
+  }
+
+  /**
+   * Creates a view of a store for this scope.
+   *
+   * @param {Store} store The store holding the state of the instance.
+   *
+   * @param {Function} [selectState] Returns the state of the instance from
+   * the root state. Defaults to reading the key equal to the scope id.
+   *
+   * @returns {Object} The view, with `dispatch`, `getState` and `subscribe`.
+   */
+  function createView(store, selectState = state => state[id]) {
+    if (
+      !store ||
+      typeof store.dispatch !== 'function' ||
+      typeof store.getState !== 'function' ||
+      typeof store.subscribe !== 'function'
+    ) {
+      throw new Error(
+        'Expected the store to have dispatch, getState and subscribe methods.'
+      )
+    }
+
+    if (typeof selectState !== 'function') {
+      throw new Error('Expected selectState to be a function.')
+    }
+
+    function getState() {
+      return selectState(store.getState())
+    }
+
+    // Thunks get the view in place of the store, so that the actions they
+    // dispatch are tagged as well.
+    // thunk 拿到的是 view 而不是 store，这样它派发的 action 也会被标记
+    function dispatch(action) {
+      if (typeof action === 'function') {
+        return store.dispatch((storeDispatch, storeGetState, ...rest) =>
+          action(dispatch, getState, ...rest)
+        )
+      }
+
+      return store.dispatch(isPlainObject(action) ? tagAction(action) : action)
+    }
+
+    /**
+     * Adds a change listener, called with the action, the previous state of
+     * the instance and its next state.
+     *
+     * @param {Function} listener A callback to be invoked on every dispatch.
+     * @param {Object} [options] Subscription options.
+     * @param {boolean} [options.skipUnchanged=false] If `true`, the listener
+     * is not called when the state of the instance did not change.
+     * @returns {Function} A function to remove this change listener.
+     */
+    function subscribe(listener, options = {}) {
+      if (typeof listener !== 'function') {
+        throw new Error('Expected the listener to be a function.')
+      }
+
+      return store.subscribe((action, prevState, nextState) => {
+        const prevScopedState = typeof prevState === 'undefined' ? // store 没有传入 state 时，旧 state 视为 undefined，新 state 从 getState() 读取
+          undefined :
+          selectState(prevState)
+        const nextScopedState = typeof nextState === 'undefined' ?
+          getState() :
+          selectState(nextState)
+        if (options.skipUnchanged && prevScopedState === nextScopedState) { // 只比较这个实例的 state
+          return
+        }
+
+        listener(action, prevScopedState, nextScopedState)
+      })
+    }
+
+    return {
+      dispatch,
+      getState,
+      subscribe
+    }
+  }
+
+  return {
+    id,
+    tagAction,
+    wrapReducer,
+    createView
+  }
+}
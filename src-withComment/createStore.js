@@ -1,5 +1,6 @@
 import isPlainObject from 'lodash/isPlainObject' // 用于约束action。
 import $$observable from 'symbol-observable'  // 作为键使用。
+import strictEqual from './utils/strictEqual'
 
 /**
  * These are private action types reserved by Redux.
@@ -8,7 +9,61 @@ import $$observable from 'symbol-observable'  // 作为键使用。
  * Do not reference these action types directly in your code.
  */
 export const ActionTypes = { // 初始化state时使用，应当避免在自己代码里写出一样的type值。
-  INIT: '@@redux/INIT'
+  INIT: '@@redux/INIT',
+  INJECT_REDUCER: '@@redux/INJECT_REDUCER',
+  REMOVE_REDUCER: '@@redux/REMOVE_REDUCER',
+  TIME_TRAVEL: '@@redux/TIME_TRAVEL',
+  REDUCER_ERROR: '@@redux/REDUCER_ERROR',
+  STORE_CHANGED: '@@redux/STORE_CHANGED',
+  SYNC_STATE: '@@redux/SYNC_STATE'
+}
+
+// A private option through which the store created by an enhancer reaches the
+// dispatch of the enhanced store, once the enhancer has returned it.
+const ENHANCED_DISPATCH_OPTION = '@@redux/getEnhancedDispatch'
+
+function scheduleMicrotask(callback) {
+  if (typeof queueMicrotask === 'function') {
+    queueMicrotask(callback)
+  } else {
+    Promise.resolve().then(callback)
+  }
+}
+
+function getReducerErrorPolicy(onReducerError) {
+  if (typeof onReducerError === 'undefined') {
+    return 'throw'
+  }
+
+  if (
+    onReducerError !== 'throw' &&
+    onReducerError !== 'dispatch' &&
+    typeof onReducerError !== 'function'
+  ) {
+    throw new Error(
+      'Expected onReducerError to be "throw", "dispatch" or a function.'
+    )
+  }
+
+  return onReducerError
+}
+
+function getNotificationScheduler(scheduler) {
+  if (typeof scheduler === 'undefined' || scheduler === 'sync') {
+    return null
+  }
+
+  if (scheduler === 'microtask') {
+    return scheduleMicrotask
+  }
+
+  if (typeof scheduler !== 'function') {
+    throw new Error(
+      'Expected the scheduler to be "sync", "microtask" or a function.'
+    )
+  }
+
+  return scheduler
 }
 
 /**
@@ -33,10 +88,47 @@ export const ActionTypes = { // 初始化state时使用，应当避免在自己
  * time travel, persistence, etc. The only store enhancer that ships with Redux
  * is `applyMiddleware()`.
  *
+ * @param {Object} [options] Store options. They may also be passed in place of
+ * the enhancer, and are handed on to the enhancer when there is one.
+ *
+ * @param {string|Function} [options.scheduler='sync'] When to notify the change
+ * listeners after a dispatch. `'sync'` notifies them before `dispatch()`
+ * returns. `'microtask'` notifies them in a microtask. A function is called
+ * with a callback that notifies the listeners when invoked, which lets the
+ * host plug in a frame callback such as `requestAnimationFrame`. With any
+ * scheduler other than `'sync'`, dispatches made before the listeners run are
+ * coalesced into a single notification, while `getState()` keeps returning
+ * the latest state.
+ *
+ * @param {string} [options.earlyDispatch='throw'] What `applyMiddleware()` does
+ * when a middleware dispatches while the chain is being built. `'throw'`
+ * throws an error naming the middleware. `'queue'` holds the actions and
+ * dispatches them through the whole chain once it is ready.
+ *
+ * @param {string|Function} [options.onReducerError='throw'] What to do when
+ * the reducer throws. `'throw'` lets the error propagate out of `dispatch()`.
+ * `'dispatch'` keeps the previous state and dispatches a private
+ * `@@redux/REDUCER_ERROR` action carrying the `error` and the `action` that
+ * caused it, so that a reducer can record the failure. A function is called
+ * with the error, the action and the previous state, which is kept, and may
+ * dispatch actions itself. If the reducer also throws on the
+ * `@@redux/REDUCER_ERROR` action, that error propagates. Unless the error
+ * propagates, the failing `dispatch()` returns the action as usual, so check
+ * the state or use a function to find out about the failure. The
+ * `@@redux/REDUCER_ERROR` action is dispatched through the store returned by
+ * the enhancer, so that middleware such as a logger sees it too.
+ *
  * @returns {Store} A Redux store that lets you read the state, dispatch actions
  * and subscribe to changes.
  */
-export default function createStore(reducer, preloadedState, enhancer) {
+export default function createStore(reducer, preloadedState, enhancer, options) {
+  // 第三个参数是纯对象时把它当作options，这样createStore(reducer, preloadedState, options)
+  // 和enhancer里转交的options都能被识别。
+  if (isPlainObject(enhancer) && typeof options === 'undefined') {
+    options = enhancer
+    enhancer = undefined
+  }
+
   // 只传入两个参数，且第二个参数是一个函数时。
   // 相当于重载，这里允许只传两个参数，保证第一个是reducer，第二个是enhancer即可。
   // preloadedState在这里会被置为undefined。
@@ -44,6 +136,12 @@ export default function createStore(reducer, preloadedState, enhancer) {
     enhancer = preloadedState
     preloadedState = undefined
   }
+  if (typeof options === 'undefined') {
+    options = {}
+  } else if (!isPlainObject(options)) {
+    throw new Error('Expected the options to be a plain object.')
+  }
+
   // 如果提供了enhancer，那么它必须是函数。且立即返回使用enhancer加强了的createStore的调用。
   if (typeof enhancer !== 'undefined') {
     if (typeof enhancer !== 'function') {
@@ -60,8 +158,14 @@ export default function createStore(reducer, preloadedState, enhancer) {
     // let store = applyMiddleware(...middlewares)(createStore)(reducer),我觉得这行代码更直观些
     // 或者这样：let strongerCreateStore = applyMiddleware(...middlewares)(createStore);
     //          let store = strongerCreateStore(reducer)
-    return enhancer(createStore)(reducer, preloadedState)
+    let enhancedStore = null
+    enhancedStore = enhancer(createStore)(reducer, preloadedState, {
+      [ENHANCED_DISPATCH_OPTION]: () => enhancedStore && enhancedStore.dispatch,
+      ...options
+    })
+    return enhancedStore
   }
+
   // reducer必须提供，且为函数。
   if (typeof reducer !== 'function') {
     throw new Error('Expected the reducer to be a function.')
@@ -72,6 +176,12 @@ export default function createStore(reducer, preloadedState, enhancer) {
   let currentListeners = [] // 初始化 监听 列表
   let nextListeners = currentListeners // 保留 currentListeners 引用
   let isDispatching = false // 初始化 正在dispatch为false 用于防止在reducer中调用dispatch
+  let batchDepth = 0 // batch的嵌套层数，大于0时dispatch不立即通知监听器
+  let pendingNotification = null // 还没有通知给监听器的变化（batch期间或等待调度时）
+  let isNotificationScheduled = false // 是否已经交给scheduler安排了一次通知
+  let notificationCount = 0 // 已经发出的通知轮数，用来识别嵌套dispatch之后过期的外层通知
+  const scheduleNotification = getNotificationScheduler(options.scheduler) // 为null时同步通知
+  const reducerErrorPolicy = getReducerErrorPolicy(options.onReducerError)
 
   function ensureCanMutateNextListeners() {
     if (nextListeners === currentListeners) {
@@ -79,6 +189,56 @@ export default function createStore(reducer, preloadedState, enhancer) {
     }
   }
 
+  function notifyListeners(action) {
+    const notification = ++notificationCount // 本轮通知的编号
+      // 在通知监听器前，先更新监听器列表，监听器列表可能会在监听器函数里发生改变。
+      //  这一步可以保证每次dispatch中都通知当前最新的监听器列表，
+      // 也就是说，每次dispatch都有与其相对应的一份监听器列表快照，
+      //  而对比任意两次dispatch，它们所使用的监听器列表则可能是不同的，
+    const listeners = currentListeners = nextListeners 
+    for (let i = 0; i < listeners.length; i++) {
+      const listener = listeners[i]
+      listener(action, notification)
+    }
+  }
+
+  function handleReducerError(error, action) {
+    if (reducerErrorPolicy === 'dispatch') {
+      // 有enhancer时经由加强后的dispatch派发REDUCER_ERROR，让中间件也能看到它；
+      // enhancer还没有返回时（比如INIT就出错），退回到store内部的dispatch。
+      const getEnhancedDispatch = options[ENHANCED_DISPATCH_OPTION]
+      const dispatchReducerError =
+        (getEnhancedDispatch && getEnhancedDispatch()) || dispatch
+      dispatchReducerError({ type: ActionTypes.REDUCER_ERROR, error, action })
+    } else {
+      reducerErrorPolicy(error, action, currentState)
+    }
+  }
+
+  function flushNotification() {
+    isNotificationScheduled = false
+    if (!pendingNotification) {
+      return
+    }
+
+    const { action } = pendingNotification
+    pendingNotification = null
+    notifyListeners(action)
+  }
+
+  function requestNotification() {
+    if (batchDepth > 0) {
+      return
+    }
+
+    if (!scheduleNotification) {
+      flushNotification()
+    } else if (!isNotificationScheduled) {
+      isNotificationScheduled = true
+      scheduleNotification(flushNotification)
+    }
+  }
+
   /**
    * Reads the state tree managed by the store.
    *
@@ -129,21 +289,56 @@ export default function createStore(reducer, preloadedState, enhancer) {
    * 听器里关注所有的状态变化。尽管如此，能够确保的是，在dispatch之前注册所有的订阅者在被调
    * 用时获取到的都是当前最新的state
    * 
-   * @param {Function} listener A callback to be invoked on every dispatch.
+   * The listener is called with the dispatched `action`, the state it was
+   * last notified of and the current state, so it does not have to keep its
+   * own copy of the previous state to find out what changed. When a listener
+   * dispatches, the nested `dispatch()` notifies the others of the latest
+   * state right away, and they are not called again with the older one once
+   * the outer notification resumes.
+   *
+   * 监听器被调用时会收到本次派发的action、它上次被通知时的state和当前的state，
+   * 不必自己保存旧state再去比较。监听器里再dispatch时，嵌套的dispatch会先把最新的
+   * state通知给其他监听器，外层通知继续时就不会再拿旧的state去调用它们了。
+   *
+   * @param {Function} listener A callback to be invoked on every dispatch. It
+   * receives `(action, prevState, nextState)`.
+   *
+   * @param {Object} [options] Subscription options.
+   * @param {boolean} [options.skipUnchanged=false] If `true`, the listener is
+   * not called when the state reference has not changed since it was last
+   * notified.
+   *
    * @returns {Function} A function to remove this change listener.
    */
-  function subscribe(listener) {
+  function subscribe(listener, options = {}) {
     // 监听器必须是函数
     if (typeof listener !== 'function') {
       throw new Error('Expected listener to be a function.')
     }
 
     let isSubscribed = true // 初始化已订阅为true
+    let lastState = currentState // 上次通知给这个监听器的state
+    let lastNotification = notificationCount // 上次通知它的那一轮的编号
+
+    // 包装一层：嵌套dispatch已经用更新的一轮通知过它时，跳过外层过期的通知；
+    // skipUnchanged时state引用没变就不通知。
+    function notify(action, notification) {
+      if (notification < lastNotification) {
+        return
+      }
+
+      const prevState = lastState
+      lastState = currentState
+      lastNotification = notification
+      if (!options.skipUnchanged || prevState !== lastState) {
+        listener(action, prevState, lastState)
+      }
+    }
 
     // 确保可以更改监听器，这里克隆一份原来的所有监听器的快照到
     //  nextListeners 即新的列表。也就是说，每次添加监听器都会保证产生一份新的监听器列表
     ensureCanMutateNextListeners() 
-    nextListeners.push(listener) // 在新列表里加入当前监听器
+    nextListeners.push(notify) // 在新列表里加入当前监听器
 
     return function unsubscribe() { // 返回一个取消订阅的函数
       if (!isSubscribed) { // 重复调用取消订阅是无意义的，所以如果已经取消了，直接退出。
@@ -153,11 +348,62 @@ export default function createStore(reducer, preloadedState, enhancer) {
       isSubscribed = false
       // 克隆、删除
       ensureCanMutateNextListeners()
-      const index = nextListeners.indexOf(listener)
+      const index = nextListeners.indexOf(notify)
       nextListeners.splice(index, 1)
     }
   }
 
+  /**
+   * Watches a part of the state tree. The `selector` is run against the new
+   * state after every dispatch that changed the state reference, and
+   * `onChange` is only called when its result differs from the previous one
+   * according to `equalityFn`. Selectors must therefore be pure functions of
+   * the state.
+   *
+   * The watcher is registered with `subscribe()`, so the same snapshot rules
+   * apply: watching or unwatching during a dispatch only takes effect on the
+   * next `dispatch()` call.
+   *
+   * @param {Function} selector A function that receives the state tree and
+   * returns the value to watch.
+   *
+   * @param {Function} onChange A callback invoked with `(nextValue, prevValue)`
+   * whenever the selected value changes.
+   *
+   * @param {Function} [equalityFn] A function deciding whether two selected
+   * values are equal. Defaults to reference equality. Redux ships
+   * `shallowEqual` and `deepEqual` for the common cases.
+   *
+   * @returns {Function} A function to stop watching.
+   */
+  function watch(selector, onChange, equalityFn = strictEqual) {
+    if (typeof selector !== 'function') {
+      throw new Error('Expected the selector to be a function.')
+    }
+
+    if (typeof onChange !== 'function') {
+      throw new Error('Expected onChange to be a function.')
+    }
+
+    if (typeof equalityFn !== 'function') {
+      throw new Error('Expected the equality function to be a function.')
+    }
+
+    let currentValue = selector(currentState)
+
+    // 基于subscribe实现，所以监听器快照的规则对watch同样适用。
+    return subscribe(() => {
+      const nextValue = selector(currentState)
+      if (equalityFn(currentValue, nextValue)) {
+        return
+      }
+
+      const prevValue = currentValue
+      currentValue = nextValue
+      onChange(nextValue, prevValue)
+    }, { skipUnchanged: true })
+  }
+
   /**
    * Dispatches an action. It is the only way to trigger a state change.
    *
@@ -214,27 +460,71 @@ export default function createStore(reducer, preloadedState, enhancer) {
       throw new Error('Reducers may not dispatch actions.')
     }
 
+    let reducerError
+    let hasReducerError = false
     try {
       isDispatching = true
       // 调用reducer。从这里可以看出，如果提供了preloadedState，初始化时，
       //  preloadedState会覆盖reducer里面提供的默认值。
       currentState = currentReducer(currentState, action) 
+    } catch (e) {
+      if (
+        reducerErrorPolicy === 'throw' ||
+        action.type === ActionTypes.REDUCER_ERROR
+      ) {
+        throw e
+      }
+      reducerError = e
+      hasReducerError = true
     } finally {
       isDispatching = false
     }
-      // 在通知监听器前，先更新监听器列表，监听器列表可能会在监听器函数里发生改变。
-      //  这一步可以保证每次dispatch中都通知当前最新的监听器列表，
-      // 也就是说，每次dispatch都有与其相对应的一份监听器列表快照，
-      //  而对比任意两次dispatch，它们所使用的监听器列表则可能是不同的，
-    const listeners = currentListeners = nextListeners 
-    for (let i = 0; i < listeners.length; i++) {
-      const listener = listeners[i]
-      listener()
+
+    if (hasReducerError) {
+      // 按onReducerError处理：保留原state，派发REDUCER_ERROR或交给用户的回调。
+      handleReducerError(reducerError, action)
+      return action
     }
 
+    // 只记下最后一个action，旧state由每个监听器自己记着，通知被合并时监听器看到的是整段变化。
+    pendingNotification = { action }
+    requestNotification()
+
     return action
   }
 
+  /**
+   * Runs `fn` and notifies the change listeners only once when it returns,
+   * no matter how many actions were dispatched in the meantime. With a
+   * scheduler other than `'sync'`, that single notification is scheduled
+   * instead of being delivered right away. Every action
+   * is still passed through the reducer as soon as it is dispatched, so
+   * `getState()` is always up to date inside `fn`.
+   *
+   * Dispatches from anywhere during the batch, including nested `batch()`
+   * calls, are coalesced into the same notification. Listeners receive the
+   * last dispatched action, the state before the batch started and the state
+   * after it ended. If nothing was dispatched, listeners are not called.
+   *
+   * @param {Function} fn A function that dispatches the actions to batch.
+   * @returns {any} The value returned by `fn`.
+   */
+  function batch(fn) {
+    if (typeof fn !== 'function') {
+      throw new Error('Expected the batch callback to be a function.')
+    }
+
+    batchDepth++
+    try {
+      return fn()
+    } finally {
+      batchDepth--
+      if (pendingNotification) {
+        requestNotification()
+      }
+    }
+  }
+
   /**
    * Replaces the reducer currently used by the store to calculate the state.
    *
@@ -243,15 +533,19 @@ export default function createStore(reducer, preloadedState, enhancer) {
    * implement a hot reloading mechanism for Redux.
    *
    * @param {Function} nextReducer The reducer for the store to use instead.
+   *
+   * @param {Object} [action] The action dispatched so that the new reducer can
+   * populate the state. Defaults to the private `INIT` action.
+   *
    * @returns {void}
    */
-  function replaceReducer(nextReducer) {
+  function replaceReducer(nextReducer, action = { type: ActionTypes.INIT }) {
     if (typeof nextReducer !== 'function') {
       throw new Error('Expected the nextReducer to be a function.')
     }
 
     currentReducer = nextReducer
-    dispatch({ type: ActionTypes.INIT })
+    dispatch(action)
   }
 
   /**
@@ -298,9 +592,15 @@ export default function createStore(reducer, preloadedState, enhancer) {
   // the initial state tree.
   dispatch({ type: ActionTypes.INIT })
 
+  // Nobody could have subscribed yet, so there is nothing to notify about the
+  // initial state, even if a scheduler has been asked to flush it later.
+  pendingNotification = null
+
   return {
     dispatch,
     subscribe,
+    watch,
+    batch,
     getState,
     replaceReducer,
     [$$observable]: observable
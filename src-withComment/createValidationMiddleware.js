@@ -0,0 +1,176 @@
+import isPlainObject from 'lodash/isPlainObject'
+import warning from './utils/warning'
+import isPrivateAction from './utils/isPrivateAction'
+
+// schema 中可以使用的字段类型及其检查函数
+const fieldTypeChecks = {
+  any: () => true,
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number',
+  boolean: value => typeof value === 'boolean',
+  function: value => typeof value === 'function',
+  object: value => isPlainObject(value),
+  array: value => Array.isArray(value)
+}
+
+// 描述一个值的类型，用在错误信息里
+function describeValue(value) {
+  if (value === null) {
+    return 'null'
+  }
+  if (Array.isArray(value)) {
+    return 'an array'
+  }
+  if (isPlainObject(value)) {
+    return 'an object'
+  }
+  return `a ${typeof value}`
+}
+
+// 把字段的写法统一为 { field, type, required }，字符串写法只给出类型
+function normalizeField(type, field, spec) {
+  const { type: fieldType = 'any', required = true } =
+    typeof spec === 'string' ? { type: spec } : spec || {}
+
+  if (!fieldTypeChecks.hasOwnProperty(fieldType)) {
+    throw new Error(
+      `Unknown type "${fieldType}" for the payload field "${field}" of ` +
+      `action "${type}". Expected one of ` +
+      `${Object.keys(fieldTypeChecks).join(', ')}.`
+    )
+  }
+
+  return { field, type: fieldType, required }
+}
+
+// 预先检查并规范化所有 schema，写错的 schema 在创建中间件时就会报错
+function normalizeSchemas(schemas) {
+  if (!isPlainObject(schemas)) {
+    throw new Error('Expected the action schemas to be a plain object.')
+  }
+
+  const normalized = {}
+  Object.keys(schemas).forEach(type => {
+    const schema = schemas[type] || {}
+    if (!isPlainObject(schema)) {
+      throw new Error(`Expected the schema for "${type}" to be a plain object.`)
+    }
+
+    const payload = schema.payload || {}
+    if (!isPlainObject(payload)) {
+      throw new Error(
+        `Expected the payload fields for "${type}" to be a plain object.`
+      )
+    }
+
+    normalized[type] = Object.keys(payload).map(field =>
+      normalizeField(type, field, payload[field])
+    )
+  })
+  return normalized
+}
+
+// 返回 action 违反 schema 的所有描述，没有违反时返回空数组
+function getViolations(action, fields) {
+  const { type, payload } = action
+  if (fields.length === 0) {
+    return []
+  }
+
+  if (typeof payload !== 'undefined' && !isPlainObject(payload)) {
+    return [
+      `Expected the payload of action "${type}" to be an object, but ` +
+      `received ${describeValue(payload)}.`
+    ]
+  }
+
+  const violations = []
+  fields.forEach(({ field, type: fieldType, required }) => {
+    const value = payload ? payload[field] : undefined // payload 不存在时，所有字段都视为缺失
+    if (typeof value === 'undefined') {
+      if (required) { // 可选字段缺失时不算违反
+        violations.push(
+          `Action "${type}" is missing the required payload field "${field}".`
+        )
+      }
+      return
+    }
+
+    if (!fieldTypeChecks[fieldType](value)) {
+      violations.push(
+        `Expected the payload field "${field}" of action "${type}" to be ` +
+        `${fieldType === 'array' || fieldType === 'object' ? 'an' : 'a'} ` +
+        `${fieldType}, but received ${describeValue(value)}.`
+      )
+    }
+  })
+  return violations
+}
+
+/**
+ * Creates a middleware that checks every action against the schema
+ * registered for its type before it reaches the reducer.
+ *
+ * A schema lists the fields of the action's `payload`. Each field is either
+ * the name of its type, or an object with the `type` and whether it is
+ * `required`, which defaults to `true`. The known types are `any`, `string`,
+ * `number`, `boolean`, `function`, `object` and `array`.
+ *
+ * In development, an action that breaks its schema throws an error describing
+ * every violation, and does not reach the reducer. In production, the
+ * violations are printed as warnings and the action is dispatched anyway.
+ *
+ * Only plain object actions are checked, so put this middleware after the
+ * ones that handle thunks or Promises. Private `@@redux/` actions are never
+ * checked.
+ *
+ * 创建一个中间件，在 action 到达 reducer 之前，用它的 type 对应的 schema 检查它。
+ * schema 列出 payload 的字段，每个字段写类型名，或者写 { type, required }，
+ * required 默认为 true。开发环境下违反 schema 的 action 会抛出错误，不会到达
+ * reducer；生产环境下只打印警告，action 照常派发。只检查普通对象的 action，
+ * 私有的 @@redux/ action 不检查。
+ *
+ * @param {Object} schemas The schema of each action type, keyed by type.
+ *
+ * @param {Object} [options] Validation options.
+ *
+ * @param {boolean} [options.allowUnknownTypes=true] Whether to let actions
+ * whose type has no registered schema through. With `false`, they are
+ * reported like any other violation.
+ *
+ * @returns {Function} The validation middleware.
+ */
+export default function createValidationMiddleware(schemas, options = {}) {
+  const { allowUnknownTypes = true } = options
+  const fieldsByType = normalizeSchemas(schemas) // 每个 type 对应规范化后的字段列表
+
+  return () => next => action => {
+    if (
+      !isPlainObject(action) ||
+      isPrivateAction(action) // 私有 action 不检查
+    ) {
+      return next(action)
+    }
+
+    let violations
+    if (fieldsByType.hasOwnProperty(action.type)) {
+      violations = getViolations(action, fieldsByType[action.type])
+    } else if (!allowUnknownTypes) { // 没有注册 schema 的 type 也算违反
+      violations = [
+        `Action type "${String(action.type)}" has no registered schema.`
+      ]
+    } else {
+      violations = []
+    }
+
+    if (violations.length > 0) {
+      const message = violations.join(' ')
+      if (process.env.NODE_ENV !== 'production') { // 开发环境下直接抛错，action 不会到达 reducer
+        throw new Error(message)
+      }
+      warning(message)
+    }
+
+    return next(action)
+  }
+}
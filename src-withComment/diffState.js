@@ -0,0 +1,106 @@
+import isPlainObject from 'lodash/isPlainObject'
+import isTraversable from './utils/isTraversable'
+import isSameValue from './utils/isSameValue'
+
+const hasOwnProperty = Object.prototype.hasOwnProperty
+
+// 递归比较两个值，把差异记录到 diff 中
+function collectChanges(prevValue, nextValue, path, diff) {
+  if (isSameValue(prevValue, nextValue)) { // 同一个引用的子树直接跳过
+    return
+  }
+
+  if (
+    !isTraversable(prevValue) ||
+    !isTraversable(nextValue) ||
+    Array.isArray(prevValue) !== Array.isArray(nextValue) // 不能遍历或者一个是数组一个是对象时，整体视为替换
+  ) {
+    diff.changed.push({ path, prevValue, nextValue })
+    return
+  }
+
+  Object.keys(prevValue).forEach(key => {
+    if (!hasOwnProperty.call(nextValue, key)) { // 只在旧值中存在的 key
+      diff.removed.push({ path: path.concat(key), value: prevValue[key] })
+    }
+  })
+
+  Object.keys(nextValue).forEach(key => {
+    if (!hasOwnProperty.call(prevValue, key)) { // 只在新值中存在的 key
+      diff.added.push({ path: path.concat(key), value: nextValue[key] })
+    } else {
+      collectChanges(prevValue[key], nextValue[key], path.concat(key), diff)
+    }
+  })
+}
+
+/**
+ * Compares two states returned by `getState()` and describes what changed
+ * between them.
+ *
+ * Plain objects and arrays are compared key by key, and subtrees that are the
+ * same reference in both states are skipped, which keeps the comparison cheap
+ * for reducers that return the previous state when nothing changed. Other
+ * values, including `Map`s and class instances, are compared by reference.
+ *
+ * Paths are arrays of keys, such as `['todos', '0', 'done']`. Array indexes
+ * are strings like any other key, and keys containing dots stay unambiguous.
+ *
+ * 比较 getState() 返回的两个 state，描述它们之间的变化。普通对象和数组逐个 key
+ * 比较，两边引用相同的子树直接跳过；Map、类实例等其他值按引用比较。路径是 key
+ * 组成的数组，数组下标也是字符串。
+ *
+ * @param {any} prevState The state before the change.
+ * @param {any} nextState The state after the change.
+ *
+ * @returns {Object} The diff. `added` and `removed` list the `path` and
+ * `value` of keys that only exist in one of the states. `changed` lists the
+ * `path`, `prevValue` and `nextValue` of values that were replaced.
+ * `changedSlices` lists the top-level keys whose value is not the same
+ * reference anymore, which are the slices of `combineReducers()` that changed.
+ */
+export function diffState(prevState, nextState) {
+  const diff = {
+    added: [],
+    removed: [],
+    changed: [],
+    changedSlices: []
+  }
+
+  collectChanges(prevState, nextState, [], diff)
+
+  if (isPlainObject(prevState) && isPlainObject(nextState)) { // 只有两边都是普通对象时才有 combineReducers 的切片
+    const keys = Object.keys(prevState).concat(
+      Object.keys(nextState).filter(key =>
+        !hasOwnProperty.call(prevState, key)
+      )
+    )
+    diff.changedSlices = keys.filter(key =>
+      !isSameValue(prevState[key], nextState[key]) ||
+      hasOwnProperty.call(prevState, key) !==
+        hasOwnProperty.call(nextState, key)
+    )
+  }
+
+  return diff
+}
+
+/**
+ * Wraps a listener so that it receives the diff of the latest dispatch. Pass
+ * the result to `store.subscribe()`, optionally with `skipUnchanged: true` to
+ * skip dispatches that did not change the state.
+ * 包装一个监听函数，让它收到最近一次 dispatch 的 diff。
+ *
+ * @param {Function} listener Called with the diff returned by `diffState()`,
+ * the action, the previous state and the next state.
+ *
+ * @returns {Function} A change listener for `store.subscribe()`.
+ */
+export function createDiffListener(listener) {
+  if (typeof listener !== 'function') {
+    throw new Error('Expected the listener to be a function.')
+  }
+
+  return (action, prevState, nextState) =>
+    listener(diffState(prevState, nextState), action, prevState, nextState) // diff 作为第一个参数，后面是原来的参数
+}
@@ -1,9 +1,30 @@
 import createStore from './createStore'
 import combineReducers from './combineReducers'
 import bindActionCreators from './bindActionCreators'
+import createSelector from './createSelector'
 import applyMiddleware from './applyMiddleware'
+import applyDynamicMiddleware from './applyDynamicMiddleware'
 import compose from './compose'
+import composeStores from './composeStores'
+import createScope from './createScope'
+import createReducerManager from './createReducerManager'
+import { plainObjectAdapter, mapAdapter, frozenObjectAdapter } from './stateAdapters'
+import timeTravel from './timeTravel'
+import persistState from './persistState'
+import checkState from './checkState'
+import { recordActions, replayActions } from './actionLog'
+import { diffState, createDiffListener } from './diffState'
+import { createMemoryStorage, createFileStorage } from './persistStorages'
+import syncState from './syncState'
+import { createLoopbackTransport, createPortTransport } from './syncTransports'
+import { createRemoteStore, exposeStore } from './remoteStore'
+import thunkMiddleware from './thunkMiddleware'
+import promiseMiddleware from './promiseMiddleware'
+import observableMiddleware from './observableMiddleware'
+import createValidationMiddleware from './createValidationMiddleware'
 import warning from './utils/warning'
+import shallowEqual from './utils/shallowEqual'
+import deepEqual from './utils/deepEqual'
 
 /*
 * This is a dummy function to check if the function name has been altered by minification.
@@ -29,6 +50,34 @@ export {
   createStore,
   combineReducers,
   bindActionCreators,
+  createSelector,
   applyMiddleware,
-  compose
+  applyDynamicMiddleware,
+  compose,
+  composeStores,
+  createScope,
+  shallowEqual,
+  deepEqual,
+  createReducerManager,
+  plainObjectAdapter,
+  mapAdapter,
+  frozenObjectAdapter,
+  timeTravel,
+  persistState,
+  checkState,
+  recordActions,
+  replayActions,
+  diffState,
+  createDiffListener,
+  createMemoryStorage,
+  createFileStorage,
+  syncState,
+  createLoopbackTransport,
+  createPortTransport,
+  createRemoteStore,
+  exposeStore,
+  thunkMiddleware,
+  promiseMiddleware,
+  observableMiddleware,
+  createValidationMiddleware
 }
@@ -0,0 +1,59 @@
+import $$observable from 'symbol-observable'
+import warning from './utils/warning'
+
+function describeError(error) {
+  return error instanceof Error ? error.message : String(error)
+}
+
+/**
+ * A middleware that lets you dispatch observables, that is any object
+ * implementing the `Symbol.observable` interop point, such as an RxJS
+ * observable. The middleware subscribes to the observable and dispatches
+ * every value it emits as an action. If a value cannot be dispatched, for
+ * example because it is not a valid action, a warning is printed and the
+ * value is skipped, so that the error does not escape into the observable.
+ * If the observable errors, a warning is printed and nothing more is
+ * dispatched.
+ *
+ * `dispatch()` returns the subscription. Calling its `unsubscribe()` method,
+ * or its `cancel()` method like with the other middlewares, stops the
+ * observable from dispatching further actions.
+ *
+ * 允许派发 observable 的中间件，即任何实现了 Symbol.observable 的对象，比如 RxJS
+ * 的 observable。中间件订阅这个 observable，把它发出的每个值作为 action 派发；
+ * 某个值无法派发（比如不是合法的 action）时打印警告并跳过它；observable 出错时
+ * 打印警告，之后不再派发。dispatch() 返回
+ * 订阅对象，调用 unsubscribe() 或 cancel() 可以停止派发。
+ */
+export default function observableMiddleware({ dispatch }) {
+  return next => action => {
+    if (!action || typeof action[$$observable] !== 'function') { // 不是 observable 的 action 交给下一个中间件
+      return next(action)
+    }
+
+    const observable = action[$$observable]()
+    const subscription = observable.subscribe({
+      next(value) {
+        try {
+          dispatch(value) // 每个值都作为 action 派发
+        } catch (e) { // 不合法的 action 只打印警告并跳过，错误不会抛进 observable
+          warning(
+            'A value emitted by an observable could not be dispatched: ' +
+            describeError(e)
+          )
+        }
+      },
+      error(error) { // 没有 error 处理时出错会被抛出，这里只打印警告
+        warning(
+          'An observable dispatched as an action errored: ' +
+          describeError(error)
+        )
+      }
+    })
+
+    subscription.cancel = () => { // 与其他中间件一致，提供 cancel() 方法
+      subscription.unsubscribe()
+    }
+    return subscription
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * Storages for `persistState`. A storage is any object implementing the
+ * synchronous part of the Web Storage interface: `getItem(key)` returns the
+ * stored string or `null`, `setItem(key, value)` stores a string, and
+ * `removeItem(key)` deletes it. `window.localStorage` and
+ * `window.sessionStorage` can be used as they are.
+ *
+ * persistState 使用的 storage。任何实现了 Web Storage 同步接口的对象都可以：
+ * getItem、setItem、removeItem。localStorage 和 sessionStorage 可以直接使用。
+ */
+
+/**
+ * Creates a storage that keeps its items in memory. This is handy for tests
+ * and for server side rendering.
+ * 在内存中保存数据的 storage，适合测试和服务端渲染。
+ *
+ * @param {Object} [items] The items the storage starts with.
+ * @returns {Object} The storage.
+ */
+export function createMemoryStorage(items = {}) {
+  const store = { ...items } // 拷贝一份，不修改传入的对象
+
+  return {
+    getItem(key) {
+      return store.hasOwnProperty(key) ? store[key] : null
+    },
+    setItem(key, value) {
+      store[key] = String(value) // 与 Web Storage 一样只保存字符串
+    },
+    removeItem(key) {
+      delete store[key]
+    }
+  }
+}
+
+/**
+ * Creates a storage that keeps every item in its own file inside a directory.
+ * It is meant for Node, which is why the `fs` module is passed in instead of
+ * being imported, so that browser bundles do not pull it in.
+ * 把每一项保存为目录中单独文件的 storage，用于 Node。fs 模块由参数传入而不是
+ * 直接 import，这样浏览器端的打包不会把它带进来。
+ *
+ * @param {Object} fs Node's `fs` module, or an object with the same
+ * synchronous methods.
+ * @param {string} directory The directory holding the files. It is created on
+ * the first write if it does not exist.
+ * @returns {Object} The storage.
+ */
+export function createFileStorage(fs, directory) {
+  if (!fs || typeof fs.readFileSync !== 'function') {
+    throw new Error('Expected fs to be the Node fs module.')
+  }
+
+  if (typeof directory !== 'string' || directory.length === 0) {
+    throw new Error('Expected the directory to be a non-empty string.')
+  }
+
+  const getFilePath = key => `${directory}/${encodeURIComponent(key)}.json` // 对 key 编码，避免出现非法的文件名
+
+  return {
+    getItem(key) {
+      try {
+        return fs.readFileSync(getFilePath(key), 'utf8')
+      } catch (e) {
+        if (e.code === 'ENOENT') { // 文件不存在时和 Web Storage 一样返回 null
+          return null
+        }
+        throw e
+      }
+    },
+    setItem(key, value) {
+      fs.mkdirSync(directory, { recursive: true }) // 目录不存在时先创建
+      fs.writeFileSync(getFilePath(key), String(value), 'utf8')
+    },
+    removeItem(key) {
+      try {
+        fs.unlinkSync(getFilePath(key))
+      } catch (e) {
+        if (e.code !== 'ENOENT') { // 要删除的文件本来就不存在时忽略
+          throw e
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,84 @@
+import isThenable from './utils/isThenable'
+
+// 创建 action，只带上有值的字段
+function createAction(type, payload, meta, error) {
+  const action = { type }
+  if (typeof payload !== 'undefined') {
+    action.payload = payload
+  }
+  if (typeof meta !== 'undefined') {
+    action.meta = meta
+  }
+  if (error) {
+    action.error = true
+  }
+  return action
+}
+
+/**
+ * A middleware that lets you dispatch Promises.
+ *
+ * When the action has a Promise as its `payload`, an action of type
+ * `${type}_PENDING` is dispatched right away. Once the Promise settles, an
+ * action of type `${type}_FULFILLED` carrying the value, or `${type}_REJECTED`
+ * carrying the error and `error: true`, is dispatched. The `meta` of the
+ * original action is copied to all three. `dispatch()` returns a Promise
+ * resolving to the `_FULFILLED` or `_REJECTED` action. It does not reject,
+ * since the failure has been dispatched already, so the work can be started
+ * without waiting for it.
+ *
+ * When the action is itself a Promise, the value it resolves to is
+ * dispatched as an action, and `dispatch()` returns a Promise for the result
+ * of that dispatch, which rejects if the action Promise rejects.
+ *
+ * The returned Promise has a `cancel()` method. After it has been called,
+ * nothing is dispatched when the Promise settles, and the returned Promise
+ * resolves to `undefined` instead.
+ *
+ * 允许派发 Promise 的中间件。action 的 payload 是 Promise 时，先立即派发
+ * ${type}_PENDING，Promise 完成后再派发 ${type}_FULFILLED 或带 error: true 的
+ * ${type}_REJECTED，meta 会被复制到这三个 action 上。dispatch() 返回的 Promise
+ * 会 resolve 为 _FULFILLED 或 _REJECTED 的 action，不会 reject。action 本身是
+ * Promise 时，派发它 resolve 出的值，返回的 Promise 在它 reject 时也 reject。
+ * 返回的 Promise 都有 cancel() 方法，取消之后什么也不派发，并 resolve 为 undefined。
+ */
+export default function promiseMiddleware({ dispatch }) {
+  return next => action => {
+    let isCancelled = false // cancel() 被调用之后为 true
+    let handle
+
+    if (isThenable(action)) { // action 本身是 Promise，派发它 resolve 出的 action
+      handle = action.then(
+        value => isCancelled ? undefined : dispatch(value),
+        error => {
+          if (!isCancelled) {
+            throw error
+          }
+        }
+      )
+    } else if (action && isThenable(action.payload)) { // payload 是 Promise
+      const { type, payload, meta } = action
+
+      next(createAction(`${type}_PENDING`, undefined, meta)) // 立即派发 _PENDING
+      const settle = settledAction => {
+        if (isCancelled) {
+          return undefined
+        }
+
+        dispatch(settledAction) // 派发 _FULFILLED 或 _REJECTED
+        return settledAction
+      }
+      handle = payload.then(
+        value => settle(createAction(`${type}_FULFILLED`, value, meta)),
+        error => settle(createAction(`${type}_REJECTED`, error, meta, true)) // 失败已经作为 action 派发，返回的 Promise 不再 reject
+      )
+    } else {
+      return next(action) // 其他 action 交给下一个中间件
+    }
+
+    handle.cancel = () => {
+      isCancelled = true
+    }
+    return handle
+  }
+}
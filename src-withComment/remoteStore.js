@@ -0,0 +1,352 @@
+import createStore, { ActionTypes } from './createStore'
+import $$observable from 'symbol-observable'
+import isPlainObject from 'lodash/isPlainObject'
+import { diffState } from './diffState'
+import warning from './utils/warning'
+import assertTransport from './utils/assertTransport'
+
+const REMOTE_CHANNEL = '@@redux/remote' // 用来区分本模块的消息
+
+// 根据 diffState 的结果生成补丁：先删除，再添加，最后替换
+function createPatches(prevState, nextState) {
+  const { added, removed, changed } = diffState(prevState, nextState)
+  return removed.map(({ path }) => ({ op: 'remove', path }))
+    .concat(added.map(({ path, value }) => ({ op: 'add', path, value })))
+    .concat(changed.map(({ path, nextValue }) =>
+      ({ op: 'replace', path, value: nextValue })
+    ))
+}
+
+/**
+ * Applies patches made by `createPatches()` without changing the state they
+ * are applied to. Every object or array on the way to a patched value is
+ * copied once, and the rest of the state is shared.
+ * 应用 createPatches() 生成的补丁，不修改原来的 state。通往被修改值的每个对象或
+ * 数组只拷贝一次，其余部分继续共享。
+ */
+function applyPatches(state, patches) {
+  const copies = new Set() // 这次已经拷贝过的对象，可以直接修改
+
+  function writable(value) {
+    if (copies.has(value)) {
+      return value
+    }
+
+    const copy = Array.isArray(value) ? value.slice() : { ...value }
+    copies.add(copy)
+    return copy
+  }
+
+  let nextState = state
+  patches.forEach(({ op, path, value }) => {
+    if (path.length === 0) { // 根路径的补丁直接替换整个 state
+      nextState = value
+      return
+    }
+
+    nextState = writable(nextState)
+    let parent = nextState
+    for (let i = 0; i < path.length - 1; i++) {
+      const child = writable(parent[path[i]])
+      parent[path[i]] = child
+      parent = child
+    }
+
+    const key = path[path.length - 1]
+    if (op !== 'remove') {
+      parent[key] = value
+    } else if (Array.isArray(parent)) {
+      // Only the end of an array can be removed, the rest is replaced.
+      parent.length = Math.min(parent.length, Number(key)) // 数组只会从末尾删除，其余的都是替换
+    } else {
+      delete parent[key]
+    }
+  })
+  return nextState
+}
+
+function isChannelMessage(message) {
+  return isPlainObject(message) && message.channel === REMOTE_CHANNEL
+}
+
+/**
+ * Makes a store available to the remote stores created with
+ * `createRemoteStore()` on the other end of a transport, typically from a
+ * worker that runs the reducers off the main thread. See
+ * `createPortTransport` for a transport over a worker port.
+ *
+ * The actions sent by remote stores are dispatched to the store. After every
+ * dispatch, the remote stores receive the action and the patches that turn
+ * the previous state into the next one, so only what changed is cloned.
+ *
+ * 把一个 store 提供给 transport 另一端用 createRemoteStore() 创建的远程 store，
+ * 通常是在 worker 中运行 reducer，不占用主线程。远程 store 发来的 action 会派发到
+ * 这个 store；每次 dispatch 之后，把 action 和从旧 state 到新 state 的补丁发给远程
+ * store，只有变化的部分需要克隆。
+ *
+ * @param {Store} store The store to expose.
+ *
+ * @param {Object} transport The channel to the remote stores.
+ *
+ * @param {Object} [options] Options.
+ *
+ * @param {Object} [options.reducers] Reducers that remote stores may switch
+ * to with `replaceReducer()`, keyed by the name they use. Functions cannot be
+ * sent through a transport, so they have to be known on this end.
+ *
+ * @returns {Function} A function that stops exposing the store.
+ */
+export function exposeStore(store, transport, options = {}) {
+  const { reducers = {} } = options
+
+  if (
+    !store ||
+    typeof store.dispatch !== 'function' ||
+    typeof store.subscribe !== 'function' ||
+    typeof store.getState !== 'function'
+  ) {
+    throw new Error(
+      'Expected the store to have dispatch, subscribe and getState methods.'
+    )
+  }
+
+  assertTransport(transport)
+
+  if (!isPlainObject(reducers)) {
+    throw new Error('Expected the reducers to be a plain object.')
+  }
+
+  function send(kind, message) {
+    transport.send({ channel: REMOTE_CHANNEL, kind, ...message })
+  }
+
+  function replaceReducer(key, action) {
+    if (!reducers.hasOwnProperty(key)) {
+      throw new Error(`No reducer is registered under the name "${key}".`)
+    }
+
+    store.replaceReducer(reducers[key], action)
+  }
+
+  // Every remote store holds the last state that was sent, so the patches
+  // are computed from it rather than from the arguments of the listener.
+  let lastSentState = store.getState() // 远程 store 持有的就是最后发出的 state，补丁要从它算起
+
+  const unsubscribe = store.subscribe(action => {
+    const nextState = store.getState()
+    const patches = createPatches(lastSentState, nextState)
+    lastSentState = nextState
+    send('patch', { action, patches })
+  })
+
+  const unlisten = transport.listen(message => {
+    if (!isChannelMessage(message)) {
+      return
+    }
+
+    try {
+      switch (message.kind) {
+        case 'connect':
+          send('state', { state: lastSentState }) // 发送与之后的补丁一致的 state
+          break
+        case 'dispatch':
+          store.dispatch(message.action)
+          break
+        case 'replaceReducer':
+          replaceReducer(message.key, message.action)
+          break
+      }
+    } catch (e) {
+      send('error', { // 错误发回给远程 store，由它的 onError 处理
+        action: message.action,
+        message: e instanceof Error ? e.message : String(e)
+      })
+    }
+  })
+
+  return function stop() {
+    unsubscribe()
+    unlisten()
+  }
+}
+
+/**
+ * Creates a store that mirrors a store exposed with `exposeStore()` on the
+ * other end of a transport. This lets expensive reducers run in a worker
+ * while the main thread keeps the usual store interface.
+ *
+ * `getState()` returns a local copy of the remote state, which is kept up to
+ * date with the patches sent after every remote dispatch. Until the first
+ * copy has arrived, it returns `undefined`, and `whenReady()` returns a
+ * Promise resolving once it has. Listeners are called after each patch with
+ * the remote action, the previous state and the next state, and `watch()` and
+ * the observable interop work as usual.
+ *
+ * `dispatch()` sends the action and returns it right away, before the state
+ * has changed. Only plain object actions can be sent, so run middleware such
+ * as thunks on the remote store. `replaceReducer()` takes the name of a
+ * reducer registered with `exposeStore()` instead of a function. Errors
+ * thrown by the remote store are reported through `onError`.
+ *
+ * 创建一个镜像 store，对应 transport 另一端用 exposeStore() 提供的 store，这样开销
+ * 大的 reducer 可以在 worker 中运行，主线程仍使用通常的 store 接口。getState()
+ * 返回远程 state 的本地副本，收到第一份副本之前返回 undefined。dispatch() 只是把
+ * action 发出去并立即返回它，此时 state 还没有变化；只能发送普通对象的 action。
+ * replaceReducer() 接受在 exposeStore() 中注册的 reducer 名称而不是函数。
+ *
+ * @param {Object} transport The channel to the exposed store.
+ *
+ * @param {Object} [options] Options.
+ *
+ * @param {Function} [options.onError] Called with an `Error` and the action
+ * whenever the remote store fails to handle a message. Defaults to printing
+ * a warning.
+ *
+ * @returns {Store} The remote store.
+ */
+export function createRemoteStore(transport, options = {}) {
+  const {
+    onError = (error, action) => warning(
+      `The remote store failed to handle the action ` +
+      `"${action ? String(action.type) : 'unknown'}": ${error.message}`
+    )
+  } = options
+
+  assertTransport(transport)
+
+  if (typeof onError !== 'function') {
+    throw new Error('Expected onError to be a function.')
+  }
+
+  let pendingPatches = null // 正在应用的补丁，由 mirrorReducer 读取
+  let isReady = false
+  let resolveReady
+  const ready = new Promise(resolve => {
+    resolveReady = resolve
+  })
+
+  // 本地镜像的 reducer：收到 state 时整体替换，收到补丁时应用补丁
+  function mirrorReducer(state, action) {
+    if (action.type === ActionTypes.SYNC_STATE) {
+      return action.state
+    }
+
+    return pendingPatches ? applyPatches(state, pendingPatches) : state
+  }
+
+  const mirror = createStore(mirrorReducer) // 用普通的 store 保存镜像，订阅、watch 和 observable 都由它提供
+
+  function send(kind, message) {
+    transport.send({ channel: REMOTE_CHANNEL, kind, ...message })
+  }
+
+  const unlisten = transport.listen(message => {
+    if (!isChannelMessage(message)) {
+      return
+    }
+
+    switch (message.kind) {
+      case 'state':
+        if (!isReady) { // 只接受第一份 state
+          mirror.dispatch({
+            type: ActionTypes.SYNC_STATE,
+            state: message.state
+          })
+          isReady = true
+          resolveReady()
+        }
+        break
+      case 'patch':
+        if (isReady) { // 收到第一份 state 之前的补丁无从应用
+          pendingPatches = message.patches
+          try {
+            mirror.dispatch(message.action) // 派发远程的 action，让本地的订阅者收到它
+          } finally {
+            pendingPatches = null
+          }
+        }
+        break
+      case 'error':
+        onError(new Error(message.message), message.action)
+        break
+    }
+  })
+
+  send('connect') // 请求第一份 state
+
+  /**
+   * Sends an action to the remote store.
+   *
+   * @param {Object} action A plain object action.
+   * @returns {Object} The action.
+   */
+  function dispatch(action) {
+    if (!isPlainObject(action)) {
+      throw new Error(
+        'Actions must be plain objects. ' +
+        'Run middleware for async actions on the remote store.'
+      )
+    }
+
+    if (typeof action.type === 'undefined') {
+      throw new Error(
+        'Actions may not have an undefined "type" property. ' +
+        'Have you misspelled a constant?'
+      )
+    }
+
+    send('dispatch', { action }) // state 要等远程 store 发回补丁后才会变化
+    return action
+  }
+
+  /**
+   * Replaces the reducer of the remote store.
+   *
+   * @param {string} key The name of a reducer registered with
+   * `exposeStore()`.
+   * @param {Object} [action] The action dispatched so that the new reducer
+   * can populate the state. Defaults to the private `INIT` action.
+   * @returns {void}
+   */
+  function replaceReducer(key, action) {
+    if (typeof key !== 'string') {
+      throw new Error(
+        'Expected the name of a reducer registered with exposeStore(). ' +
+        'Functions cannot be sent to a remote store.'
+      )
+    }
+
+    send('replaceReducer', { key, action })
+  }
+
+  /**
+   * Returns a Promise that resolves once the first copy of the remote state
+   * has arrived.
+   *
+   * @returns {Promise} A Promise resolving when the store is ready.
+   */
+  function whenReady() {
+    return ready
+  }
+
+  /**
+   * Stops listening to the remote store. The state is not updated anymore
+   * afterwards.
+   *
+   * @returns {void}
+   */
+  function disconnect() {
+    unlisten()
+  }
+
+  return {
+    dispatch,
+    subscribe: mirror.subscribe,
+    watch: mirror.watch,
+    getState: mirror.getState,
+    replaceReducer,
+    whenReady,
+    disconnect,
+    [$$observable]: mirror[$$observable]
+  }
+}
@@ -0,0 +1,89 @@
+import isPlainObject from 'lodash/isPlainObject'
+
+/**
+ * State adapters let `combineReducers` build state containers other than
+ * plain objects. An adapter implements five operations, and may implement a
+ * sixth:
+ *
+ * - `create()` returns a new, empty container.
+ * - `get(state, key)` reads the value stored under `key`.
+ * - `set(state, key, value)` stores `value` under `key` and returns the
+ *   resulting container. It is only called on containers obtained from
+ *   `create()` or from a previous `set()` during the same reducer call, so it
+ *   may either mutate the container or return a new one.
+ * - `keys(state)` lists the keys of the container.
+ * - `is(state)` tells whether a value is a container of the expected type.
+ * - `finalize(state)`, if present, is called once the reducer has stored
+ *   every key in a new container, and returns the container to hand out. It
+ *   lets an adapter fill a container in place and seal it afterwards.
+ *
+ * state 适配器让 combineReducers 可以使用普通对象以外的容器保存 state。适配器
+ * 需要实现 create、get、set、keys、is 五个方法，finalize 可选：新容器的每个 key
+ * 都写入之后调用它，适配器可以借此在原地填充容器，最后再把它封存起来。
+ */
+
+/**
+ * The default adapter, which keeps the state in plain objects.
+ * 默认的适配器，用普通对象保存 state。
+ */
+export const plainObjectAdapter = {
+  create: () => ({}),
+  get: (state, key) => state[key],
+  set: (state, key, value) => {
+    state[key] = value // 只会作用在本次 reducer 调用新建的容器上，可以直接修改
+    return state
+  },
+  keys: state => Object.keys(state),
+  is: isPlainObject
+}
+
+/**
+ * An adapter that keeps the state in ES `Map` instances.
+ * 用 ES 的 Map 保存 state 的适配器。
+ */
+export const mapAdapter = {
+  create: () => new Map(),
+  get: (state, key) => state.get(key),
+  set: (state, key, value) => state.set(key, value),
+  keys: state => Array.from(state.keys()),
+  is: state => typeof Map !== 'undefined' && state instanceof Map // 不支持 Map 的环境下总是返回 false
+}
+
+/**
+ * An adapter that keeps the state in frozen plain objects, so that reducers
+ * cannot mutate the combined state in place. The keys are stored in a new
+ * object, which is frozen once it is complete.
+ * 用冻结的普通对象保存 state，reducer 无法原地修改合并后的 state。
+ * 各个 key 写入一个新对象，写完之后再整体冻结，避免每次 set 都拷贝一遍。
+ */
+export const frozenObjectAdapter = {
+  ...plainObjectAdapter,
+  finalize: state => Object.freeze(state) // 所有 key 写完后只冻结一次
+}
+
+// 检查适配器是否实现了必需的方法，finalize 如果给出也必须是函数
+export function assertStateAdapter(adapter) {
+  const methods = ['create', 'get', 'set', 'keys', 'is']
+  if (
+    !adapter ||
+    methods.some(method => typeof adapter[method] !== 'function')
+  ) {
+    throw new Error(
+      `Expected the state adapter to implement ${methods.join(', ')}.`
+    )
+  }
+
+  if (
+    typeof adapter.finalize !== 'undefined' &&
+    typeof adapter.finalize !== 'function'
+  ) {
+    throw new Error(
+      'Expected the finalize method of the state adapter to be a function.'
+    )
+  }
+}
+
+// 适配器有 finalize 时用它处理新容器，否则原样返回
+export function finalizeState(adapter, state) {
+  return adapter.finalize ? adapter.finalize(state) : state
+}
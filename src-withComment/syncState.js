@@ -0,0 +1,274 @@
+import { ActionTypes } from './createStore'
+import isPlainObject from 'lodash/isPlainObject'
+import warning from './utils/warning'
+import isPrivateAction from './utils/isPrivateAction'
+import assertTransport from './utils/assertTransport'
+
+const SYNC_CHANNEL = '@@redux/sync' // 用来区分本模块的消息
+
+// 生成随机的 id，用来识别频道上的 store
+function createId() {
+  return Math.random().toString(36).substring(2)
+}
+
+/**
+ * Creates a store enhancer that mirrors dispatched actions between stores
+ * living in different tabs, workers or processes. The stores talk through a
+ * transport, see `createLoopbackTransport` and `createPortTransport`.
+ *
+ * Every store on a channel has a role:
+ *
+ * - A `'peer'` applies its actions right away and sends them to the others,
+ *   which apply them too. This suits tabs sharing a `BroadcastChannel`.
+ * - A `'leader'` holds the state every follower mirrors. It applies its own
+ *   actions and the ones forwarded by followers, and sends all of them on.
+ *   It also applies the actions of peers on the same channel.
+ * - A `'follower'` does not apply its actions itself. It forwards them to the
+ *   leader, and applies them when the leader sends them back, so that every
+ *   store sees the actions in the same order. This suits a worker mirroring
+ *   the store of the main thread. Actions dispatched before the handshake is
+ *   over are held until then. If no leader has been heard of by then, a
+ *   warning is printed and the follower acts as a peer until a leader sends
+ *   it a message, so that its actions are not lost.
+ *
+ * Each message carries the id of the store that sent it, and stores ignore
+ * their own messages, so actions are never echoed back.
+ *
+ * When a peer or a follower is created, it asks the others for their state.
+ * The first answer replaces its state, or its `preloadedState`, through a
+ * private `@@redux/SYNC_STATE` action, so that late joiners catch up. The
+ * enhanced store has a `whenSynced()` method returning a Promise that
+ * resolves once that happened, or after `handshakeTimeout` if nobody
+ * answered, and a `disconnect()` method that stops listening to the channel.
+ *
+ * Only plain object actions are synchronized, after the middleware has run,
+ * so put this enhancer after `applyMiddleware()` in `compose()`. Private
+ * `@@redux/` actions are not synchronized.
+ *
+ * 返回一个 store enhancer，在不同标签页、worker 或进程中的 store 之间同步派发的
+ * action，store 之间通过 transport 通信。每个 store 有一个角色：peer 立即应用自己
+ * 的 action 并发给其他 store；leader 持有所有 follower 镜像的 state，应用自己的和
+ * follower 转发来的 action，再全部发出去；follower 不自己应用 action，而是转发给
+ * leader，等 leader 发回来时再应用，这样所有 store 看到的 action 顺序一致。握手
+ * 结束前派发的 action 会先暂存；如果那时还没有 leader，就打印警告并暂时像 peer
+ * 一样自己应用，以免丢失 action。peer 和 follower 创建时会向其他 store 请求
+ * state，用第一个回复替换自己的 state，让后加入的 store 赶上进度。
+ *
+ * @param {Object} options Synchronization options.
+ *
+ * @param {Object} options.transport The channel to the other stores.
+ *
+ * @param {string} [options.role='peer'] `'peer'`, `'leader'` or `'follower'`.
+ *
+ * @param {string} [options.id] Identifies the store on the channel. Defaults
+ * to a random id.
+ *
+ * @param {Function} [options.filter] Returns whether an action is
+ * synchronized. By default, every action is.
+ *
+ * @param {number} [options.handshakeTimeout=1000] How many milliseconds to
+ * wait for the state of the others before `whenSynced()` resolves anyway.
+ *
+ * @returns {Function} A store enhancer synchronizing the store.
+ */
+export default function syncState(options = {}) {
+  const {
+    transport,
+    role = 'peer',
+    id = createId(),
+    filter = () => true,
+    handshakeTimeout = 1000
+  } = options
+
+  assertTransport(transport)
+
+  if (role !== 'peer' && role !== 'leader' && role !== 'follower') {
+    throw new Error('Expected the role to be "peer", "leader" or "follower".')
+  }
+
+  if (typeof filter !== 'function') {
+    throw new Error('Expected the filter to be a function.')
+  }
+
+  return (createStore) => (reducer, preloadedState, storeOptions) => {
+    let currentReducer = reducer
+
+    function syncedReducer(state, action) {
+      if (action.type === ActionTypes.SYNC_STATE) { // 用收到的 state 整体替换
+        return action.state
+      }
+
+      return currentReducer(state, action)
+    }
+
+    const store = createStore(syncedReducer, preloadedState, storeOptions)
+
+    let isSynced = false
+    let resolveSynced
+    const synced = new Promise(resolve => {
+      resolveSynced = resolve
+    })
+    let handshakeTimer = null // 握手超时的定时器
+    let isConnected = true
+    let hasLeader = false // 是否收到过 leader 的消息
+    let heldActions = [] // follower 在握手结束前暂存的 action
+
+    function markSynced() {
+      if (isSynced) { // 只执行一次
+        return
+      }
+
+      isSynced = true
+      if (handshakeTimer !== null) {
+        clearTimeout(handshakeTimer)
+        handshakeTimer = null
+      }
+
+      if (role === 'follower' && isConnected && !hasLeader) { // 没有 leader 的 follower 会自己应用 action
+        warning(
+          `The follower "${id}" has not heard of a leader on its channel, ` +
+          `so it applies its actions itself until a leader shows up.`
+        )
+      }
+
+      const actions = heldActions
+      heldActions = []
+      actions.forEach(action => dispatch(action)) // 派发握手期间暂存的 action
+      resolveSynced()
+    }
+
+    function send(kind, message) {
+      transport.send({
+        channel: SYNC_CHANNEL,
+        kind,
+        origin: id, // 接收方据此忽略自己发出的消息
+        role, // 接收方据此得知频道上是否有 leader
+        ...message
+      })
+    }
+
+    function shouldSync(action) {
+      return isPlainObject(action) && !isPrivateAction(action) && filter(action)
+    }
+
+    /**
+     * Dispatches an action and sends it to the other stores. Followers only
+     * forward the action to the leader, and their state changes once the
+     * leader sends it back.
+     *
+     * @param {Object} action The action to dispatch.
+     * @returns {Object} The result of the dispatch, or the action itself on
+     * a follower.
+     */
+    function dispatch(action) {
+      if (!isConnected || !shouldSync(action)) { // 断开之后或不需要同步的 action 只在本地派发
+        return store.dispatch(action)
+      }
+
+      if (role === 'follower' && !isSynced) { // 握手结束前先暂存
+        heldActions.push(action)
+        return action
+      }
+
+      if (role === 'follower' && hasLeader) { // follower 只转发给 leader，等它发回来时再应用
+        send('forward', { action })
+        return action
+      }
+
+      const result = store.dispatch(action)
+      send('action', { action })
+      return result
+    }
+
+    function handleMessage(message) {
+      if (
+        !isPlainObject(message) ||
+        message.channel !== SYNC_CHANNEL ||
+        message.origin === id // 忽略自己发出的消息
+      ) {
+        return
+      }
+
+      if (message.role === 'leader') {
+        hasLeader = true
+      }
+
+      switch (message.kind) {
+        case 'action': // 每种角色都应用别人发来的 action，包括 leader 应用 peer 的 action
+          store.dispatch(message.action)
+          break
+        case 'forward':
+          if (role === 'leader') { // 只有 leader 处理 follower 转发的 action
+            dispatch(message.action)
+          }
+          break
+        case 'requestState':
+          if (role !== 'follower' && isSynced) { // follower 的 state 可能落后，不回复
+            send('state', { target: message.origin, state: store.getState() })
+          }
+          break
+        case 'state':
+          if (message.target === id && !isSynced) { // 只接受发给自己的第一个回复
+            store.dispatch({
+              type: ActionTypes.SYNC_STATE,
+              state: message.state
+            })
+            markSynced()
+          }
+          break
+      }
+    }
+
+    const unlisten = transport.listen(handleMessage)
+
+    if (role === 'leader') {
+      markSynced()
+    } else {
+      handshakeTimer = setTimeout(markSynced, handshakeTimeout) // 没有人回复时，超时后也算同步完成
+      send('requestState')
+    }
+
+    /**
+     * Returns a Promise that resolves once the store has received the state
+     * of the others, or once the handshake has timed out.
+     *
+     * @returns {Promise} A Promise resolving when the store is synchronized.
+     */
+    function whenSynced() {
+      return synced
+    }
+
+    /**
+     * Stops listening to the channel. Later actions are applied locally
+     * only, and `whenSynced()` resolves if it has not yet.
+     *
+     * @returns {void}
+     */
+    function disconnect() {
+      if (!isConnected) {
+        return
+      }
+
+      isConnected = false
+      unlisten()
+      markSynced()
+    }
+
+    function replaceReducer(nextReducer, action) {
+      if (typeof nextReducer !== 'function') {
+        throw new Error('Expected the nextReducer to be a function.')
+      }
+
+      currentReducer = nextReducer // SYNC_STATE 仍由外层的 syncedReducer 处理
+      store.replaceReducer(syncedReducer, action)
+    }
+
+    return {
+      ...store,
+      dispatch,
+      replaceReducer,
+      whenSynced,
+      disconnect
+    }
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * Transports for `syncState`. A transport is any object with two methods:
+ * `send(message)` delivers a message to every other end of the channel, and
+ * `listen(handler)` calls `handler` with each message received and returns a
+ * function that stops listening. Messages are plain objects holding actions
+ * and state, so they must survive the structured clone algorithm.
+ *
+ * syncState 使用的 transport。任何有 send 和 listen 两个方法的对象都可以：
+ * send(message) 把消息发给频道的其他各端，listen(handler) 用收到的每条消息调用
+ * handler，并返回一个停止监听的函数。消息必须能经受结构化克隆。
+ */
+
+/**
+ * Creates a transport that delivers messages within the same process, in a
+ * microtask like a real channel would. Every store using the same loopback
+ * transport is connected to the others, which is handy for tests.
+ * 在同一进程内传递消息的 transport，和真实的频道一样在微任务中送达，适合测试。
+ *
+ * @returns {Object} The transport.
+ */
+export function createLoopbackTransport() {
+  let handlers = []
+
+  return {
+    send(message) {
+      handlers.forEach(handler => {
+        Promise.resolve(message).then(handler) // 异步送达，和真实的频道一致
+      })
+    },
+    listen(handler) {
+      handlers = handlers.concat(handler) // 不修改原数组，送达过程中增删监听不受影响
+      return () => {
+        handlers = handlers.filter(h => h !== handler)
+      }
+    }
+  }
+}
+
+/**
+ * Creates a transport on top of a message port, such as a `MessagePort`, a
+ * `BroadcastChannel`, a `Worker`, the `self` of a worker, or a `MessagePort`
+ * or `Worker` from Node's `worker_threads` module.
+ * 基于消息端口的 transport，可以是 MessagePort、BroadcastChannel、Worker，
+ * 或者 Node 的 worker_threads 中的端口和 Worker。
+ *
+ * @param {Object} port The port. It must have a `postMessage` method, and
+ * either `addEventListener` and `removeEventListener`, or `on` and `off`.
+ * @returns {Object} The transport.
+ */
+export function createPortTransport(port) {
+  if (!port || typeof port.postMessage !== 'function') {
+    throw new Error('Expected the port to have a postMessage method.')
+  }
+
+  const isEventTarget = typeof port.addEventListener === 'function' // 浏览器的接口用 addEventListener，Node 的用 on
+  if (!isEventTarget && typeof port.on !== 'function') {
+    throw new Error(
+      'Expected the port to have an addEventListener or an on method.'
+    )
+  }
+
+  return {
+    send(message) {
+      port.postMessage(message)
+    },
+    listen(handler) {
+      if (isEventTarget) {
+        const listener = event => handler(event.data)
+        port.addEventListener('message', listener)
+        if (typeof port.start === 'function') {
+          port.start() // MessagePort 用 addEventListener 时需要手动 start
+        }
+        return () => port.removeEventListener('message', listener)
+      }
+
+      port.on('message', handler) // Node 的端口直接传递消息本身
+      return () => port.off('message', handler)
+    }
+  }
+}
@@ -0,0 +1,58 @@
+import isThenable from './utils/isThenable'
+
+function createThunkMiddleware(extraArgument) {
+  return ({ dispatch, getState }) => next => action => {
+    if (typeof action !== 'function') { // 不是函数的 action 交给下一个中间件
+      return next(action)
+    }
+
+    let isCancelled = false
+    // 取消之后，thunk 再派发的 action 都会被丢弃
+    const thunkDispatch = thunkAction =>
+      isCancelled ? undefined : dispatch(thunkAction)
+    const result = action(thunkDispatch, getState, extraArgument)
+    if (!isThenable(result)) { // 同步的 thunk 直接返回它的结果
+      return result
+    }
+
+    // 包装返回的 Promise，取消之后 resolve 为 undefined，也不再 reject
+    const handle = result.then(
+      value => isCancelled ? undefined : value,
+      error => {
+        if (!isCancelled) {
+          throw error
+        }
+      }
+    )
+    handle.cancel = () => {
+      isCancelled = true
+    }
+    return handle
+  }
+}
+
+/**
+ * A middleware that lets you dispatch functions, called thunks. A thunk is
+ * called with `dispatch` and `getState`, so it can dispatch actions later,
+ * for example after a request has completed. Whatever the thunk returns is
+ * returned from `dispatch()`, which makes it possible to wait for a thunk that
+ * returns a Promise.
+ *
+ * When the thunk returns a Promise, `dispatch()` returns a Promise following
+ * it with a `cancel()` method, like the other middlewares. After `cancel()`
+ * has been called, the actions the thunk dispatches are dropped, and the
+ * returned Promise resolves to `undefined`.
+ *
+ * Use `thunkMiddleware.withExtraArgument(extraArgument)` to create a thunk
+ * middleware that passes `extraArgument` to every thunk as a third argument,
+ * for example an API client that tests can replace.
+ *
+ * 允许派发函数（thunk）的中间件。thunk 会收到 dispatch 和 getState，可以稍后再
+ * 派发 action，比如在请求完成之后。thunk 的返回值就是 dispatch() 的返回值；返回
+ * Promise 时，dispatch() 返回一个带 cancel() 方法的 Promise，取消之后 thunk 派发
+ * 的 action 会被丢弃。withExtraArgument 可以给每个 thunk 传入第三个参数。
+ */
+const thunkMiddleware = createThunkMiddleware()
+thunkMiddleware.withExtraArgument = createThunkMiddleware
+
+export default thunkMiddleware
@@ -0,0 +1,201 @@
+import { ActionTypes } from './createStore'
+
+/**
+ * Creates a store enhancer that records every dispatched action together with
+ * the state it produced, and lets you move back and forth through that
+ * history. This is handy for implementing undo and redo in an application.
+ *
+ * The enhanced store has these extra methods:
+ *
+ * - `undo()` moves to the state before the current one.
+ * - `redo()` moves to the state after the current one.
+ * - `jumpToAction(index)` moves to the state produced by the recorded action
+ *   at `index`. Index `0` is the initial state.
+ * - `reset()` forgets the history and keeps only the current state.
+ * - `getHistory()` returns the recorded `actions`, the matching `states` and
+ *   the `index` of the current state.
+ *
+ * Dispatching an action after moving back discards the actions that came
+ * after the current state, like a text editor would. Subscribers are notified
+ * after every move through a private `@@redux/TIME_TRAVEL` action.
+ *
+ * When the reducer is replaced, the recorded actions are replayed against the
+ * new reducer, so that the whole history reflects it.
+ *
+ * 返回一个 store enhancer，记录每个派发的 action 以及它产生的 state，并允许在这段
+ * 历史中前后移动，可以用来实现撤销和重做。回退之后再派发新的 action，会丢弃当前
+ * 位置之后的历史，和文本编辑器的做法一样。每次移动后，订阅者会收到私有的
+ * @@redux/TIME_TRAVEL action。替换 reducer 时，已记录的 action 会用新的 reducer
+ * 重新计算一遍。
+ *
+ * @param {Object} [options] Time travel options.
+ *
+ * @param {number} [options.limit=Infinity] The maximum number of actions to
+ * keep. Older actions are dropped, and the state they led to becomes the
+ * initial state of the history.
+ *
+ * @returns {Function} A store enhancer adding time travel.
+ */
+export default function timeTravel(options = {}) {
+  const { limit = Infinity } = options
+
+  if (typeof limit !== 'number' || !(limit >= 0)) {
+    throw new Error('Expected the history limit to be a non-negative number.')
+  }
+
+  return (createStore) => (reducer, preloadedState, storeOptions) => {
+    let currentReducer = reducer
+    let actions = [] // 已记录的 action
+    let states = [] // states[0] 是初始 state，states[i] 是第 i 个 action 之后的 state
+    let currentIndex = 0 // 当前 state 在 states 中的位置
+    let isReplacing = false // 正在替换 reducer，下一次调用需要重新计算历史
+
+    function record(action, state) {
+      if (states.length === 0) { // 第一次调用时（INIT）只记下初始 state
+        states = [state]
+        return
+      }
+
+      actions = actions.slice(0, currentIndex) // 回退后派发新的 action，丢弃当前位置之后的历史
+      states = states.slice(0, currentIndex + 1)
+      actions.push(action)
+      states.push(state)
+
+      const overflow = actions.length - limit
+      if (overflow > 0) { // 超出 limit 时丢掉最早的 action，它们产生的 state 成为新的初始 state
+        actions = actions.slice(overflow)
+        states = states.slice(overflow)
+      }
+      currentIndex = actions.length
+    }
+
+    // 用当前的 reducer 从初始 state 开始重放所有已记录的 action
+    function recompute(action) {
+      let state = currentReducer(states[0], action)
+      const nextStates = [state]
+      for (let i = 0; i < actions.length; i++) {
+        state = currentReducer(state, actions[i])
+        nextStates.push(state)
+      }
+      states = nextStates
+    }
+
+    function liftedReducer(state, action) {
+      if (action.type === ActionTypes.TIME_TRAVEL) { // 时间旅行时直接返回记录中的 state，不调用 reducer
+        return states[currentIndex]
+      }
+
+      if (isReplacing) {
+        isReplacing = false
+        recompute(action) // 替换 reducer 时重新计算整个历史
+        return states[currentIndex]
+      }
+
+      const nextState = currentReducer(state, action)
+      record(action, nextState)
+      return nextState
+    }
+
+    const store = createStore(liftedReducer, preloadedState, storeOptions)
+
+    function jumpTo(index) {
+      currentIndex = index // 先移动位置，liftedReducer 会返回这个位置的 state
+      store.dispatch({ type: ActionTypes.TIME_TRAVEL, index })
+    }
+
+    /**
+     * Moves to the state before the current one, if there is one.
+     *
+     * @returns {void}
+     */
+    function undo() {
+      if (currentIndex > 0) {
+        jumpTo(currentIndex - 1)
+      }
+    }
+
+    /**
+     * Moves to the state after the current one, if there is one.
+     *
+     * @returns {void}
+     */
+    function redo() {
+      if (currentIndex < actions.length) {
+        jumpTo(currentIndex + 1)
+      }
+    }
+
+    /**
+     * Moves to the state produced by the recorded action at `index`.
+     *
+     * @param {number} index The position in the history, where `0` is the
+     * initial state and `n` the state after the n-th recorded action.
+     * @returns {void}
+     */
+    function jumpToAction(index) {
+      if (
+        typeof index !== 'number' ||
+        Math.floor(index) !== index ||
+        index < 0 ||
+        index > actions.length
+      ) {
+        throw new Error(
+          `Expected the index to be an integer between 0 and ${actions.length}.`
+        )
+      }
+
+      jumpTo(index)
+    }
+
+    /**
+     * Forgets the recorded history. The current state becomes the initial
+     * state of the new history.
+     *
+     * @returns {void}
+     */
+    function reset() {
+      states = [states[currentIndex]] // 当前 state 成为新历史的初始 state
+      actions = []
+      currentIndex = 0
+    }
+
+    /**
+     * Returns the recorded history.
+     *
+     * @returns {Object} An object with the recorded `actions`, the `states`
+     * they led to, starting with the initial state, and the `index` of the
+     * current state.
+     */
+    function getHistory() {
+      return {
+        actions: actions.slice(),
+        states: states.slice(),
+        index: currentIndex
+      }
+    }
+
+    function replaceReducer(nextReducer, action) {
+      if (typeof nextReducer !== 'function') {
+        throw new Error('Expected the nextReducer to be a function.')
+      }
+
+      currentReducer = nextReducer
+      isReplacing = true // 让 liftedReducer 在下一次调用时重放历史
+      try {
+        store.replaceReducer(liftedReducer, action)
+      } finally {
+        isReplacing = false
+      }
+    }
+
+    return {
+      ...store,
+      replaceReducer,
+      undo,
+      redo,
+      jumpToAction,
+      reset,
+      getHistory
+    }
+  }
+}
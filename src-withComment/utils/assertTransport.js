@@ -0,0 +1,17 @@
+/**
+ * Throws unless a value is a transport, that is an object with `send` and
+ * `listen` methods such as the ones created by `createLoopbackTransport` and
+ * `createPortTransport`.
+ *
+ * @param {any} transport The value to check.
+ * @returns {void}
+ */
+export default function assertTransport(transport) {
+  if (
+    !transport ||
+    typeof transport.send !== 'function' ||
+    typeof transport.listen !== 'function'
+  ) {
+    throw new Error('Expected the transport to have send and listen methods.')
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * Turns the errors collected while running several callbacks into a single
+ * error to throw. A single error is returned as it is. Otherwise, the
+ * returned error lists every message and keeps the errors in its `errors`
+ * property.
+ *
+ * @param {Array} errors The errors, at least one.
+ * @returns {any} The error to throw.
+ */
+export default function combineErrors(errors) {
+  if (errors.length === 1) {
+    return errors[0]
+  }
+
+  const messages = errors.map(error =>
+    error instanceof Error ? error.message : String(error)
+  )
+  const error = new Error(
+    `${errors.length} errors were thrown: ${messages.join('; ')}`
+  )
+  error.errors = errors
+  return error
+}
@@ -0,0 +1,55 @@
+import combineErrors from './combineErrors'
+
+/**
+ * Creates a list of teardown functions. `add(teardown)` registers a teardown
+ * and returns a function that takes it out of the list again, and `run()`
+ * runs every teardown in the reverse order of registration. Teardowns added
+ * after `run()` run immediately. When teardowns throw, the others still run
+ * and `run()` throws once they are done.
+ *
+ * @returns {Object} The list, with its `add` and `run` methods.
+ */
+export default function createTeardownList() {
+  const teardowns = []
+  let hasRun = false
+
+  function remove(teardown) {
+    const index = teardowns.indexOf(teardown)
+    if (index !== -1) {
+      teardowns.splice(index, 1)
+    }
+  }
+
+  function add(teardown) {
+    if (typeof teardown !== 'function') {
+      throw new Error('Expected the teardown to be a function.')
+    }
+
+    if (hasRun) {
+      teardown()
+      return () => {}
+    }
+
+    teardowns.push(teardown)
+    return () => remove(teardown)
+  }
+
+  function run() {
+    hasRun = true
+    const errors = []
+    while (teardowns.length > 0) {
+      const teardown = teardowns.pop()
+      try {
+        teardown()
+      } catch (e) {
+        errors.push(e)
+      }
+    }
+
+    if (errors.length > 0) {
+      throw combineErrors(errors)
+    }
+  }
+
+  return { add, run }
+}
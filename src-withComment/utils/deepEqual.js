@@ -0,0 +1,53 @@
+import isPlainObject from 'lodash/isPlainObject'
+
+const hasOwnProperty = Object.prototype.hasOwnProperty
+
+/**
+ * Compares two values structurally. Plain objects and arrays are walked
+ * recursively, dates are compared by time, and everything else, including
+ * maps, sets and class instances, must be strictly equal.
+ *
+ * @param {any} a The first value.
+ * @param {any} b The second value.
+ * @returns {boolean} Whether the values are deeply equal.
+ */
+export default function deepEqual(a, b) {
+  if (a === b) {
+    return true
+  }
+
+  if (
+    typeof a !== 'object' || a === null ||
+    typeof b !== 'object' || b === null
+  ) {
+    return false
+  }
+
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime()
+  }
+
+  const isArrayA = Array.isArray(a)
+  if (
+    isArrayA !== Array.isArray(b) ||
+    (!isArrayA && !(isPlainObject(a) && isPlainObject(b)))
+  ) {
+    return false
+  }
+
+  const keysA = Object.keys(a)
+  const keysB = Object.keys(b)
+
+  if (keysA.length !== keysB.length) {
+    return false
+  }
+
+  for (let i = 0; i < keysA.length; i++) {
+    const key = keysA[i]
+    if (!hasOwnProperty.call(b, key) || !deepEqual(a[key], b[key])) {
+      return false
+    }
+  }
+
+  return true
+}
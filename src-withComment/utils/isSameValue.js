@@ -0,0 +1,11 @@
+/**
+ * Tells whether two values are the same, like `===` except that `NaN` is the
+ * same as `NaN`, so that a value that stays `NaN` does not count as a change.
+ *
+ * @param {any} a The first value.
+ * @param {any} b The second value.
+ * @returns {boolean} Whether the values are the same.
+ */
+export default function isSameValue(a, b) {
+  return a === b || (a !== a && b !== b)
+}
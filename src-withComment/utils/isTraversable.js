@@ -0,0 +1,12 @@
+import isPlainObject from 'lodash/isPlainObject'
+
+/**
+ * Tells whether a value is a part of the state tree that is walked into,
+ * that is an array or a plain object.
+ *
+ * @param {any} value The value to check.
+ * @returns {boolean} Whether the value is an array or a plain object.
+ */
+export default function isTraversable(value) {
+  return Array.isArray(value) || isPlainObject(value)
+}
@@ -0,0 +1,38 @@
+const hasOwnProperty = Object.prototype.hasOwnProperty
+
+/**
+ * Compares two values one level deep. Objects and arrays are equal when they
+ * have the same keys and every value is strictly equal.
+ *
+ * @param {any} a The first value.
+ * @param {any} b The second value.
+ * @returns {boolean} Whether the values are shallowly equal.
+ */
+export default function shallowEqual(a, b) {
+  if (a === b) {
+    return true
+  }
+
+  if (
+    typeof a !== 'object' || a === null ||
+    typeof b !== 'object' || b === null
+  ) {
+    return false
+  }
+
+  const keysA = Object.keys(a)
+  const keysB = Object.keys(b)
+
+  if (keysA.length !== keysB.length) {
+    return false
+  }
+
+  for (let i = 0; i < keysA.length; i++) {
+    const key = keysA[i]
+    if (!hasOwnProperty.call(b, key) || a[key] !== b[key]) {
+      return false
+    }
+  }
+
+  return true
+}
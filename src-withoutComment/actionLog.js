@@ -0,0 +1,200 @@
+import createStore from './createStore'
+import isPlainObject from 'lodash/isPlainObject'
+import deepEqual from './utils/deepEqual'
+import isPrivateAction from './utils/isPrivateAction'
+
+const LOG_VERSION = 1
+
+function parseLog(log) {
+  const parsed = typeof log === 'string' ? JSON.parse(log) : log
+  if (
+    !isPlainObject(parsed) ||
+    parsed.version !== LOG_VERSION ||
+    !Array.isArray(parsed.entries)
+  ) {
+    throw new Error(
+      `Expected an action log of version ${LOG_VERSION}, as returned by ` +
+      `getLog() or exportLog().`
+    )
+  }
+  return parsed
+}
+
+// Turns a state into what it becomes once the log is exported, so that keys
+// holding `undefined`, which JSON drops, do not count as a difference.
+function toJSONValue(value) {
+  const json = JSON.stringify(value)
+  return typeof json === 'undefined' ? undefined : JSON.parse(json)
+}
+
+/**
+ * Creates a store enhancer that records the preloaded state and every action
+ * the reducer handles, with the time it was dispatched, so that a session can
+ * be attached to a bug report and replayed later with `replayActions()`.
+ * Private `@@redux/` actions are not recorded.
+ *
+ * The enhanced store has these extra methods:
+ *
+ * - `getLog()` returns the log: the `version` of its format, the
+ *   `preloadedState`, and the `entries`, each holding the `action`, its
+ *   `timestamp` and the `state` it produced.
+ * - `exportLog()` returns the log as a JSON string.
+ * - `clearLog()` forgets the recorded actions. The current state becomes the
+ *   preloaded state of the log.
+ *
+ * The actions and the state must be serializable for the exported log to be
+ * replayed faithfully.
+ *
+ * @param {Object} [options] Recording options.
+ *
+ * @param {boolean} [options.recordStates=true] Whether to record the state
+ * produced by each action. Without the states, the log is smaller but
+ * `replayActions()` cannot report where a replay diverged.
+ *
+ * @param {number} [options.limit=Infinity] How many entries to keep. Once the
+ * log is full, the oldest entry is dropped and the state it produced becomes
+ * the preloaded state of the log, so that a long session does not keep every
+ * state in memory.
+ *
+ * @returns {Function} A store enhancer recording the actions.
+ */
+export function recordActions(options = {}) {
+  const { recordStates = true, limit = Infinity } = options
+
+  if (typeof limit !== 'number' || !(limit >= 1)) {
+    throw new Error('Expected the log limit to be a number of at least 1.')
+  }
+
+  return (createStore) => (reducer, preloadedState, storeOptions) => {
+    let currentReducer = reducer
+    let logPreloadedState = preloadedState
+    let entries = []
+
+    function recordingReducer(state, action) {
+      const nextState = currentReducer(state, action)
+      if (!isPrivateAction(action)) {
+        entries.push({ action, timestamp: Date.now(), state: nextState })
+        if (entries.length > limit) {
+          logPreloadedState = entries.shift().state
+        }
+      }
+      return nextState
+    }
+
+    const store = createStore(recordingReducer, preloadedState, storeOptions)
+
+    /**
+     * Returns the recorded log.
+     *
+     * @returns {Object} The log, with the `version` of its format, the
+     * `preloadedState` and the recorded `entries`.
+     */
+    function getLog() {
+      return {
+        version: LOG_VERSION,
+        preloadedState: logPreloadedState,
+        entries: entries.map(({ action, timestamp, state }) =>
+          recordStates ? { action, timestamp, state } : { action, timestamp }
+        )
+      }
+    }
+
+    /**
+     * Returns the recorded log as a JSON string.
+     *
+     * @returns {string} The serialized log.
+     */
+    function exportLog() {
+      return JSON.stringify(getLog())
+    }
+
+    /**
+     * Forgets the recorded actions and starts a new log from the current
+     * state.
+     *
+     * @returns {void}
+     */
+    function clearLog() {
+      logPreloadedState = store.getState()
+      entries = []
+    }
+
+    function replaceReducer(nextReducer, action) {
+      if (typeof nextReducer !== 'function') {
+        throw new Error('Expected the nextReducer to be a function.')
+      }
+
+      currentReducer = nextReducer
+      store.replaceReducer(recordingReducer, action)
+    }
+
+    return {
+      ...store,
+      replaceReducer,
+      getLog,
+      exportLog,
+      clearLog
+    }
+  }
+}
+
+/**
+ * Replays a log recorded with `recordActions()` against a reducer. A store is
+ * created with `createStore()` from the recorded preloaded state, and every
+ * recorded action is dispatched to it in order.
+ *
+ * When the log holds the recorded states, each state produced by the replay
+ * is compared with the recorded one, as they would be once exported to JSON,
+ * and the first one that differs is reported. This tells whether a change to
+ * the reducer alters the outcome of a recorded session, and at which action.
+ * If the reducer throws, the replay stops there, and unless an earlier state
+ * differed already, the error is reported as the divergence.
+ *
+ * @param {Object|string} log The log returned by `getLog()`, or the JSON
+ * string returned by `exportLog()`.
+ *
+ * @param {Function} reducer The reducer to replay the actions with.
+ *
+ * @returns {Object} The replay result: the final `state`, and the first
+ * `divergence`, or `null` if there is none. A divergence has the `index` of
+ * the entry, its `action`, and the `expectedState` and `actualState` after it.
+ * When the reducer threw, it also has the `error`, and `actualState` is the
+ * state before the action.
+ */
+export function replayActions(log, reducer) {
+  const { preloadedState, entries } = parseLog(log)
+  const store = createStore(reducer, preloadedState)
+
+  let divergence = null
+  for (let index = 0; index < entries.length; index++) {
+    const { action, state: expectedState } = entries[index]
+    try {
+      store.dispatch(action)
+    } catch (error) {
+      if (!divergence) {
+        divergence = {
+          index,
+          action,
+          expectedState,
+          actualState: store.getState(),
+          error
+        }
+      }
+      break
+    }
+
+    const actualState = store.getState()
+    if (
+      !divergence &&
+      typeof expectedState !== 'undefined' &&
+      !deepEqual(toJSONValue(actualState), toJSONValue(expectedState))
+    ) {
+      divergence = { index, action, expectedState, actualState }
+    }
+  }
+
+  return {
+    state: store.getState(),
+    divergence
+  }
+}
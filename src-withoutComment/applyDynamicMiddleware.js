@@ -0,0 +1,279 @@
+import compose from './compose'
+import createTeardownList from './utils/createTeardownList'
+import createEarlyDispatchGuard from './utils/createEarlyDispatchGuard'
+import combineErrors from './utils/combineErrors'
+import isThenable from './utils/isThenable'
+
+/**
+ * Creates a store enhancer that applies middleware which can be added and
+ * removed after the store has been created. Lazily loaded features can bring
+ * their own middleware this way without recreating the store, so that the
+ * state and the subscribers are kept.
+ *
+ * The enhanced store has these extra methods:
+ *
+ * - `addMiddleware(...middlewares)` appends middleware to the end of the
+ *   chain, right before the reducer. Middleware that is already applied is
+ *   skipped.
+ * - `removeMiddleware(...middlewares)` removes middleware from the chain and
+ *   runs the teardowns it registered.
+ * - `withMiddleware(middleware, fn)` applies the middleware while `fn` runs.
+ *   If `fn` returns a Promise, the middleware is removed once it settles.
+ *   Overlapping calls with the same middleware keep it applied until the
+ *   last of them ends, and middleware added with `addMiddleware()` is never
+ *   removed this way.
+ * - `dispose()` removes every middleware and runs its teardowns. Middleware
+ *   cannot be added afterwards.
+ *
+ * Each middleware receives the same API as with `applyMiddleware()`. Its
+ * teardowns run when it is removed, and teardowns it registers afterwards run
+ * immediately. `context` is shared by all the middleware of the store. As
+ * with `applyMiddleware()`, a middleware must not dispatch while it is being
+ * added, which throws unless the store was created with the
+ * `earlyDispatch: 'queue'` option.
+ *
+ * @param {...Function} middlewares The middleware applied initially.
+ * @returns {Function} A store enhancer applying the middleware.
+ */
+export default function applyDynamicMiddleware(...middlewares) {
+  return (createStore) => (reducer, preloadedState, options) => {
+    const store = createStore(reducer, preloadedState, options)
+    const context = {}
+    const guard = createEarlyDispatchGuard(options)
+    let entries = []
+    let dispatch = store.dispatch
+    let isDisposed = false
+
+    function getName(middleware, index) {
+      return `"${middleware.name || 'anonymous'}" at index ${index}`
+    }
+
+    function rebuild() {
+      dispatch = compose(...entries.map((entry, index) =>
+        (next) => guard.construct(
+          getName(entry.middleware, index),
+          () => entry.link(next)
+        )
+      ))(store.dispatch)
+      guard.flush(action => dispatch(action))
+    }
+
+    function runTeardowns(removedEntries) {
+      const errors = []
+      removedEntries.forEach(entry => {
+        try {
+          entry.teardowns.run()
+        } catch (e) {
+          errors.push(e)
+        }
+      })
+      return errors
+    }
+
+    function throwErrors(errors) {
+      if (errors.length > 0) {
+        throw combineErrors(errors)
+      }
+    }
+
+    function createEntry(middleware, index) {
+      const teardowns = createTeardownList()
+      const entry = {
+        middleware,
+        teardowns,
+        link: null,
+        isAdded: false,
+        scopeCount: 0
+      }
+
+      function addTeardown(teardown) {
+        teardowns.add(teardown)
+      }
+
+      function subscribe(listener, subscribeOptions) {
+        const unsubscribe = store.subscribe(listener, subscribeOptions)
+        const removeTeardown = teardowns.add(unsubscribe)
+        return () => {
+          removeTeardown()
+          unsubscribe()
+        }
+      }
+
+      const middlewareAPI = {
+        getState: store.getState,
+        dispatch: (action) => guard.isConstructing() ?
+          guard.dispatchEarly(action) :
+          dispatch(action),
+        subscribe,
+        addTeardown,
+        context
+      }
+
+      try {
+        entry.link = guard.construct(
+          getName(middleware, index),
+          () => middleware(middlewareAPI)
+        )
+      } catch (e) {
+        // The error of the middleware matters more than the ones of its
+        // teardowns.
+        runTeardowns([entry])
+        throw e
+      }
+      return entry
+    }
+
+    function findEntry(middleware) {
+      return entries.filter(entry => entry.middleware === middleware)[0]
+    }
+
+    function insertMiddleware(nextMiddlewares) {
+      if (isDisposed) {
+        throw new Error('Middleware cannot be added to a disposed store.')
+      }
+
+      nextMiddlewares.forEach(middleware => {
+        if (typeof middleware !== 'function') {
+          throw new Error('Expected the middleware to be a function.')
+        }
+      })
+
+      const addedEntries = []
+      try {
+        nextMiddlewares.forEach(middleware => {
+          if (
+            !findEntry(middleware) &&
+            !addedEntries.some(entry => entry.middleware === middleware)
+          ) {
+            addedEntries.push(
+              createEntry(middleware, entries.length + addedEntries.length)
+            )
+          }
+        })
+      } catch (e) {
+        runTeardowns(addedEntries)
+        throw e
+      }
+
+      entries = entries.concat(addedEntries)
+      rebuild()
+    }
+
+    /**
+     * Appends middleware to the end of the chain. Middleware added this way
+     * stays applied until `removeMiddleware()` is called, even when a
+     * `withMiddleware()` call applied it first.
+     *
+     * @param {...Function} nextMiddlewares The middleware to add.
+     * @returns {void}
+     */
+    function addMiddleware(...nextMiddlewares) {
+      insertMiddleware(nextMiddlewares)
+      nextMiddlewares.forEach(middleware => {
+        findEntry(middleware).isAdded = true
+      })
+    }
+
+    /**
+     * Removes middleware from the chain and runs its teardowns.
+     *
+     * @param {...Function} staleMiddlewares The middleware to remove.
+     * @returns {void}
+     */
+    function removeMiddleware(...staleMiddlewares) {
+      const removedEntries = entries.filter(entry =>
+        staleMiddlewares.indexOf(entry.middleware) !== -1
+      )
+      if (removedEntries.length === 0) {
+        return
+      }
+
+      entries = entries.filter(entry => removedEntries.indexOf(entry) === -1)
+      rebuild()
+      throwErrors(runTeardowns(removedEntries))
+    }
+
+    /**
+     * Applies a middleware while `fn` runs. Overlapping calls applying the
+     * same middleware keep it applied until the last of them ends, and
+     * middleware added with `addMiddleware()` stays applied afterwards.
+     *
+     * @param {Function} middleware The middleware to apply.
+     * @param {Function} fn The function to run with the middleware applied.
+     * @returns {any} The value returned by `fn`.
+     */
+    function withMiddleware(middleware, fn) {
+      if (typeof fn !== 'function') {
+        throw new Error('Expected fn to be a function.')
+      }
+
+      insertMiddleware([middleware])
+      const entry = findEntry(middleware)
+      entry.scopeCount++
+      const cleanup = () => {
+        entry.scopeCount--
+        if (
+          entry.scopeCount === 0 &&
+          !entry.isAdded &&
+          entries.indexOf(entry) !== -1
+        ) {
+          removeMiddleware(middleware)
+        }
+      }
+
+      let result
+      try {
+        result = fn()
+      } catch (e) {
+        cleanup()
+        throw e
+      }
+
+      if (isThenable(result)) {
+        return result.then(
+          value => {
+            cleanup()
+            return value
+          },
+          error => {
+            cleanup()
+            throw error
+          }
+        )
+      }
+
+      cleanup()
+      return result
+    }
+
+    /**
+     * Removes every middleware and runs its teardowns, like `dispose()` of
+     * `applyMiddleware()`. Teardowns registered afterwards run immediately,
+     * and calling `dispose()` again has no effect.
+     *
+     * @returns {void}
+     */
+    function dispose() {
+      if (isDisposed) {
+        return
+      }
+
+      isDisposed = true
+      const removedEntries = entries
+      entries = []
+      rebuild()
+      throwErrors(runTeardowns(removedEntries))
+    }
+
+    addMiddleware(...middlewares)
+
+    return {
+      ...store,
+      dispatch: (action) => dispatch(action),
+      addMiddleware,
+      removeMiddleware,
+      withMiddleware,
+      dispose
+    }
+  }
+}
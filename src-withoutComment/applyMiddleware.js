@@ -1,4 +1,7 @@
 import compose from './compose'
+import createTeardownList from './utils/createTeardownList'
+import createEarlyDispatchGuard from './utils/createEarlyDispatchGuard'
+import isThenable from './utils/isThenable'
 
 /**
  * Creates a store enhancer that applies middleware to the dispatch method
@@ -13,25 +16,151 @@ import compose from './compose'
  * Note that each middleware will be given the `dispatch` and `getState` functions
  * as named arguments.
  *
+ * Middleware also receives `subscribe`, which adds a change listener that is
+ * removed when the store is disposed, `addTeardown`, which registers a
+ * function to run when the store is disposed, and `context`, an object
+ * shared by all the middleware of the store. Call `store.dispose()` to run
+ * every teardown, in the reverse order of registration, for example at the
+ * end of a test.
+ *
+ * A middleware must not dispatch while the chain is being built, because the
+ * action would skip the other middleware. By default this throws an error
+ * naming the middleware. Create the store with the `earlyDispatch: 'queue'`
+ * option to hold such actions instead and dispatch them through the whole
+ * chain once it is ready.
+ *
+ * The enhanced store keeps track of the Promises and other thenables returned
+ * from `dispatch()`, such as the ones returned by thunks. `whenIdle()` waits
+ * until all of them have settled, which is useful on the server before the
+ * state is serialized. `dispatchSettled(action)` dispatches and returns a
+ * Promise settling with the outcome of the returned value.
+ *
  * @param {...Function} middlewares The middleware chain to be applied.
  * @returns {Function} A store enhancer applying the middleware.
  */
 export default function applyMiddleware(...middlewares) {
-  return (createStore) => (reducer, preloadedState, enhancer) => {
-    const store = createStore(reducer, preloadedState, enhancer)
-    let dispatch = store.dispatch
+  return (createStore) => (reducer, preloadedState, options) => {
+    const store = createStore(reducer, preloadedState, options)
+    const guard = createEarlyDispatchGuard(options)
+    let dispatch = guard.dispatchEarly
     let chain = []
 
+    const pendingWork = []
+
+    function track(result) {
+      if (
+        isThenable(result) &&
+        pendingWork.indexOf(result) === -1
+      ) {
+        pendingWork.push(result)
+        const done = () => {
+          pendingWork.splice(pendingWork.indexOf(result), 1)
+        }
+        result.then(done, done)
+      }
+      return result
+    }
+
+    const context = {}
+    const teardowns = createTeardownList()
+    let isDisposed = false
+
+    function addTeardown(teardown) {
+      teardowns.add(teardown)
+    }
+
+    function subscribe(listener, subscribeOptions) {
+      const unsubscribe = store.subscribe(listener, subscribeOptions)
+      const removeTeardown = teardowns.add(unsubscribe)
+      return () => {
+        removeTeardown()
+        unsubscribe()
+      }
+    }
+
     const middlewareAPI = {
       getState: store.getState,
-      dispatch: (action) => dispatch(action)
+      dispatch: (action) => track(dispatch(action)),
+      subscribe,
+      addTeardown,
+      context
     }
-    chain = middlewares.map(middleware => middleware(middlewareAPI))
+    chain = middlewares.map((middleware, index) => {
+      const name = `"${middleware.name || 'anonymous'}" at index ${index}`
+      const link = guard.construct(name, () => middleware(middlewareAPI))
+      return (next) => guard.construct(name, () => link(next))
+    })
     dispatch = compose(...chain)(store.dispatch)
 
+    const trackedDispatch = (action) => track(dispatch(action))
+
+    guard.flush(trackedDispatch)
+
+    /**
+     * Returns a Promise that resolves once every thenable returned from a
+     * dispatch has settled, including work started while waiting. Work that a
+     * middleware starts without returning it from `dispatch()` is not seen.
+     *
+     * @returns {Promise} A Promise resolving when no tracked work is pending.
+     */
+    function whenIdle() {
+      if (pendingWork.length === 0) {
+        return Promise.resolve()
+      }
+
+      const settle = () => undefined
+      return Promise.all(pendingWork.map(work => work.then(settle, settle)))
+        .then(whenIdle)
+    }
+
+    /**
+     * Dispatches an action and returns a Promise that settles with the outcome
+     * of the value returned by the middleware chain. The Promise never
+     * rejects: it resolves to `{ status: 'fulfilled', value }` or
+     * `{ status: 'rejected', reason }`.
+     *
+     * @param {any} action The action to dispatch.
+     * @returns {Promise} The settled handle.
+     */
+    function dispatchSettled(action) {
+      let result
+      try {
+        result = trackedDispatch(action)
+      } catch (reason) {
+        return Promise.resolve({ status: 'rejected', reason })
+      }
+
+      return Promise.resolve(result).then(
+        value => ({ status: 'fulfilled', value }),
+        reason => ({ status: 'rejected', reason })
+      )
+    }
+
+    /**
+     * Runs the teardown functions registered by the middleware, in the
+     * reverse order of registration, and removes the listeners the
+     * middleware added through `subscribe`. Teardowns registered afterwards
+     * run immediately. Calling `dispose()` again has no effect. If teardowns
+     * throw, the others still run, and the error is thrown afterwards. When
+     * several threw, the thrown error lists them in its `errors` property.
+     *
+     * @returns {void}
+     */
+    function dispose() {
+      if (isDisposed) {
+        return
+      }
+
+      isDisposed = true
+      teardowns.run()
+    }
+
     return {
       ...store,
-      dispatch
+      dispatch: trackedDispatch,
+      whenIdle,
+      dispatchSettled,
+      dispose
     }
   }
 }
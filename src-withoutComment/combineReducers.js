@@ -1,6 +1,15 @@
 import { ActionTypes } from './createStore'
 import isPlainObject from 'lodash/isPlainObject'
 import warning from './utils/warning'
+import {
+  plainObjectAdapter,
+  assertStateAdapter,
+  finalizeState
+} from './stateAdapters'
+
+function getKeyPath(parentPath, key) {
+  return parentPath ? `${parentPath}.${key}` : key
+}
 
 function getUndefinedStateErrorMessage(key, action) {
   const actionType = action && action.type
@@ -13,11 +22,12 @@ function getUndefinedStateErrorMessage(key, action) {
   )
 }
 
-function getUnexpectedStateShapeWarningMessage(inputState, reducers, action, unexpectedKeyCache) {
+function getUnexpectedStateShapeWarningMessage(inputState, reducers, action, unexpectedKeyCache, keyPath, adapter) {
   const reducerKeys = Object.keys(reducers)
   const argumentName = action && action.type === ActionTypes.INIT ?
     'preloadedState argument passed to createStore' :
     'previous state received by the reducer'
+  const location = keyPath ? ` at "${keyPath}"` : ''
 
   if (reducerKeys.length === 0) {
     return (
@@ -26,16 +36,16 @@ function getUnexpectedStateShapeWarningMessage(inputState, reducers, action, une
     )
   }
 
-  if (!isPlainObject(inputState)) {
+  if (!adapter.is(inputState)) {
     return (
-      `The ${argumentName} has unexpected type of "` +
+      `The ${argumentName}${location} has unexpected type of "` +
       ({}).toString.call(inputState).match(/\s([a-z|A-Z]+)/)[1] +
       `". Expected argument to be an object with the following ` +
       `keys: "${reducerKeys.join('", "')}"`
     )
   }
 
-  const unexpectedKeys = Object.keys(inputState).filter(key =>
+  const unexpectedKeys = adapter.keys(inputState).filter(key =>
     !reducers.hasOwnProperty(key) &&
     !unexpectedKeyCache[key]
   )
@@ -47,21 +57,22 @@ function getUnexpectedStateShapeWarningMessage(inputState, reducers, action, une
   if (unexpectedKeys.length > 0) {
     return (
       `Unexpected ${unexpectedKeys.length > 1 ? 'keys' : 'key'} ` +
-      `"${unexpectedKeys.join('", "')}" found in ${argumentName}. ` +
+      `"${unexpectedKeys.join('", "')}" found in ${argumentName}${location}. ` +
       `Expected to find one of the known reducer keys instead: ` +
       `"${reducerKeys.join('", "')}". Unexpected keys will be ignored.`
     )
   }
 }
 
-function assertReducerShape(reducers) {
+function assertReducerShape(reducers, keyPath, rootState) {
   Object.keys(reducers).forEach(key => {
     const reducer = reducers[key]
-    const initialState = reducer(undefined, { type: ActionTypes.INIT })
+    const reducerPath = getKeyPath(keyPath, key)
+    const initialState = reducer(undefined, { type: ActionTypes.INIT }, rootState)
 
     if (typeof initialState === 'undefined') {
       throw new Error(
-        `Reducer "${key}" returned undefined during initialization. ` +
+        `Reducer "${reducerPath}" returned undefined during initialization. ` +
         `If the state passed to the reducer is undefined, you must ` +
         `explicitly return the initial state. The initial state may ` +
         `not be undefined. If you don't want to set a value for this reducer, ` +
@@ -70,9 +81,9 @@ function assertReducerShape(reducers) {
     }
 
     const type = '@@redux/PROBE_UNKNOWN_ACTION_' + Math.random().toString(36).substring(7).split('').join('.')
-    if (typeof reducer(undefined, { type }) === 'undefined') {
+    if (typeof reducer(undefined, { type }, rootState) === 'undefined') {
       throw new Error(
-        `Reducer "${key}" returned undefined when probed with a random type. ` +
+        `Reducer "${reducerPath}" returned undefined when probed with a random type. ` +
         `Don't try to handle ${ActionTypes.INIT} or other actions in "redux/*" ` +
         `namespace. They are considered private. Instead, you must return the ` +
         `current state for any unknown actions, unless it is undefined, ` +
@@ -83,23 +94,60 @@ function assertReducerShape(reducers) {
   })
 }
 
+function orderReducerKeys(reducerKeys, order) {
+  if (!order) {
+    return reducerKeys
+  }
+
+  if (process.env.NODE_ENV !== 'production') {
+    order.forEach(key => {
+      if (reducerKeys.indexOf(key) === -1) {
+        warning(`The order passed to combineReducers names unknown key "${key}".`)
+      }
+    })
+  }
+
+  const orderedKeys = order.filter(key => reducerKeys.indexOf(key) !== -1)
+  return orderedKeys.concat(
+    reducerKeys.filter(key => orderedKeys.indexOf(key) === -1)
+  )
+}
+
+function copyRootStateView(adapter, view, key, value) {
+  let nextView = adapter.create()
+  adapter.keys(view).forEach(viewKey => {
+    nextView = adapter.set(nextView, viewKey, adapter.get(view, viewKey))
+  })
+  if (typeof key !== 'undefined') {
+    nextView = adapter.set(nextView, key, value)
+  }
+  nextView = finalizeState(adapter, nextView)
+
+  if (process.env.NODE_ENV !== 'production' && isPlainObject(nextView)) {
+    Object.freeze(nextView)
+  }
+  return nextView
+}
+
+function annotateReducerError(error, reducerKey) {
+  if (
+    error !== null &&
+    typeof error === 'object' &&
+    Object.isExtensible(error) &&
+    !Object.prototype.hasOwnProperty.call(error, 'reducerKey')
+  ) {
+    error.reducerKey = reducerKey
+  }
+  return error
+}
+
 /**
- * Turns an object whose values are different reducer functions, into a single
- * reducer function. It will call every child reducer, and gather their results
- * into a single state object, whose keys correspond to the keys of the passed
- * reducer functions.
- *
- * @param {Object} reducers An object whose values correspond to different
- * reducer functions that need to be combined into one. One handy way to obtain
- * it is to use ES6 `import * as reducers` syntax. The reducers may never return
- * undefined for any action. Instead, they should return their initial state
- * if the state passed to them was undefined, and the current state for any
- * unrecognized action.
- *
- * @returns {Function} A reducer function that invokes every reducer inside the
- * passed object, and builds a state object with the same shape.
+ * Combines the reducers of one level of a reducer tree found at `keyPath`, so
+ * that errors and warnings name the full dotted path of each slice. It is
+ * also used by `createReducerManager()`, which builds its levels one by one.
  */
-export default function combineReducers(reducers) {
+export function combineReducersAtPath(reducers, keyPath, options) {
+  const { adapter, rootState: rootStateMode } = options
   const reducerKeys = Object.keys(reducers)
   const finalReducers = {}
   for (let i = 0; i < reducerKeys.length; i++) {
@@ -107,15 +155,19 @@ export default function combineReducers(reducers) {
 
     if (process.env.NODE_ENV !== 'production') {
       if (typeof reducers[key] === 'undefined') {
-        warning(`No reducer provided for key "${key}"`)
+        warning(`No reducer provided for key "${getKeyPath(keyPath, key)}"`)
       }
     }
 
     if (typeof reducers[key] === 'function') {
       finalReducers[key] = reducers[key]
+    } else if (isPlainObject(reducers[key])) {
+      finalReducers[key] = combineReducersAtPath(reducers[key], getKeyPath(keyPath, key), options)
     }
   }
-  const finalReducerKeys = Object.keys(finalReducers)
+  const finalReducerKeys = keyPath ?
+    Object.keys(finalReducers) :
+    orderReducerKeys(Object.keys(finalReducers), options.order)
 
   let unexpectedKeyCache
   if (process.env.NODE_ENV !== 'production') {
@@ -124,37 +176,117 @@ export default function combineReducers(reducers) {
 
   let shapeAssertionError
   try {
-    assertReducerShape(finalReducers)
+    assertReducerShape(finalReducers, keyPath, rootStateMode ? adapter.create() : undefined)
   } catch (e) {
     shapeAssertionError = e
   }
 
-  return function combination(state = {}, action) {
+  return function combination(state = adapter.create(), action, rootState) {
     if (shapeAssertionError) {
       throw shapeAssertionError
     }
 
     if (process.env.NODE_ENV !== 'production') {
-      const warningMessage = getUnexpectedStateShapeWarningMessage(state, finalReducers, action, unexpectedKeyCache)
+      const warningMessage = getUnexpectedStateShapeWarningMessage(state, finalReducers, action, unexpectedKeyCache, keyPath, adapter)
       if (warningMessage) {
         warning(warningMessage)
       }
     }
 
+    const isRootStateForwarded = typeof rootState !== 'undefined'
+    let rootStateView = rootState
+    if (!isRootStateForwarded && rootStateMode) {
+      rootStateView = process.env.NODE_ENV !== 'production' ?
+        copyRootStateView(adapter, state) :
+        state
+    }
+
     let hasChanged = false
-    const nextState = {}
+    let nextState = adapter.create()
     for (let i = 0; i < finalReducerKeys.length; i++) {
       const key = finalReducerKeys[i]
       const reducer = finalReducers[key]
-      const previousStateForKey = state[key]
-      const nextStateForKey = reducer(previousStateForKey, action)
+      const previousStateForKey = adapter.get(state, key)
+      let nextStateForKey
+      try {
+        nextStateForKey = reducer(previousStateForKey, action, rootStateView)
+      } catch (e) {
+        throw annotateReducerError(e, getKeyPath(keyPath, key))
+      }
       if (typeof nextStateForKey === 'undefined') {
-        const errorMessage = getUndefinedStateErrorMessage(key, action)
-        throw new Error(errorMessage)
+        const errorMessage = getUndefinedStateErrorMessage(getKeyPath(keyPath, key), action)
+        throw annotateReducerError(new Error(errorMessage), getKeyPath(keyPath, key))
       }
-      nextState[key] = nextStateForKey
+      nextState = adapter.set(nextState, key, nextStateForKey)
       hasChanged = hasChanged || nextStateForKey !== previousStateForKey
+      if (
+        rootStateMode === 'progressive' &&
+        !isRootStateForwarded &&
+        nextStateForKey !== previousStateForKey
+      ) {
+        rootStateView = copyRootStateView(adapter, rootStateView, key, nextStateForKey)
+      }
     }
-    return hasChanged ? nextState : state
+    return hasChanged ? finalizeState(adapter, nextState) : state
+  }
+}
+
+/**
+ * Turns an object whose values are different reducer functions, into a single
+ * reducer function. It will call every child reducer, and gather their results
+ * into a single state object, whose keys correspond to the keys of the passed
+ * reducer functions.
+ *
+ * @param {Object} reducers An object whose values correspond to different
+ * reducer functions that need to be combined into one. One handy way to obtain
+ * it is to use ES6 `import * as reducers` syntax. The reducers may never return
+ * undefined for any action. Instead, they should return their initial state
+ * if the state passed to them was undefined, and the current state for any
+ * unrecognized action.
+ * A value may also be a nested object of reducers, which is combined the same
+ * way into the corresponding nested state object. Errors about a nested
+ * reducer name its full dotted path, such as `entities.users`.
+ * When a reducer throws, the error gets a `reducerKey` property holding the
+ * dotted path of the failing slice, unless a nested reducer has set it already.
+ *
+ * @param {Object} [options] Options for the combined reducer.
+ *
+ * @param {Object} [options.adapter] The state adapter used to read and build
+ * the combined state, and the state of nested reducer objects. Defaults to
+ * plain objects. Redux ships `mapAdapter` for ES `Map` state and
+ * `frozenObjectAdapter` for frozen plain objects.
+ *
+ * @param {string} [options.rootState] Lets every reducer read the root state
+ * through a third argument, for reducers that depend on sibling slices. With
+ * `'previous'`, each reducer receives the root state as it was before the
+ * action. With `'progressive'`, each reducer receives the root state updated
+ * with the slices computed before it. Reducers of nested objects receive the
+ * same view as their parent. The view is read-only: in development it is a
+ * copy of the root state, frozen when it is a plain object, so that writes to
+ * it never reach the store. The combined reducer still returns the previous
+ * state when no slice has changed.
+ *
+ * @param {string[]} [options.order] The order in which the top-level reducers
+ * run. Keys that are not listed run afterwards, in the order of `reducers`.
+ *
+ * @returns {Function} A reducer function that invokes every reducer inside the
+ * passed object, and builds a state object with the same shape.
+ */
+export default function combineReducers(reducers, options = {}) {
+  const { adapter = plainObjectAdapter, rootState, order } = options
+  assertStateAdapter(adapter)
+
+  if (
+    typeof rootState !== 'undefined' &&
+    rootState !== 'previous' &&
+    rootState !== 'progressive'
+  ) {
+    throw new Error('Expected the rootState option to be "previous" or "progressive".')
+  }
+
+  if (typeof order !== 'undefined' && !Array.isArray(order)) {
+    throw new Error('Expected the order option to be an array of reducer keys.')
   }
+
+  return combineReducersAtPath(reducers, '', { adapter, rootState, order })
 }
@@ -0,0 +1,281 @@
+import { combineReducersAtPath } from './combineReducers'
+import { ActionTypes } from './createStore'
+import isPlainObject from 'lodash/isPlainObject'
+import { plainObjectAdapter } from './stateAdapters'
+
+function getPath(key) {
+  if (typeof key !== 'string' || key.length === 0) {
+    throw new Error('Expected the reducer key to be a non-empty string.')
+  }
+
+  const path = key.split('.')
+  if (path.some(segment => segment.length === 0)) {
+    throw new Error(`Reducer key "${key}" is not a valid dotted path.`)
+  }
+
+  return path
+}
+
+function copyReducerMap(reducerMap) {
+  const copy = {}
+  Object.keys(reducerMap).forEach(key => {
+    const reducer = reducerMap[key]
+    if (typeof reducer === 'function') {
+      copy[key] = reducer
+    } else if (isPlainObject(reducer)) {
+      copy[key] = copyReducerMap(reducer)
+    }
+  })
+  return copy
+}
+
+function omitPath(state, path) {
+  if (!isPlainObject(state) || !state.hasOwnProperty(path[0])) {
+    return state
+  }
+
+  const [key, ...rest] = path
+  const nextState = { ...state }
+  if (rest.length === 0) {
+    delete nextState[key]
+    return nextState
+  }
+
+  const nextStateForKey = omitPath(state[key], rest)
+  if (nextStateForKey === state[key]) {
+    return state
+  }
+
+  // A level is only dropped once nothing else is left in it, so that state
+  // waiting for reducers that have not been injected yet is kept.
+  if (
+    isPlainObject(nextStateForKey) &&
+    Object.keys(nextStateForKey).length === 0
+  ) {
+    delete nextState[key]
+  } else {
+    nextState[key] = nextStateForKey
+  }
+  return nextState
+}
+
+/**
+ * Builds the reducer for one level of the reducer map. Keys of the state that
+ * have no reducer at this level are kept as they are, so that state preloaded
+ * for reducers which have not been injected yet survives until they are.
+ * Errors name the full dotted path of the failing slice, starting from
+ * `keyPath`.
+ */
+function createLevelReducer(reducerMap, keyPath = '') {
+  const keys = Object.keys(reducerMap)
+  if (keys.length === 0) {
+    return (state = {}) => state
+  }
+
+  const reducers = {}
+  keys.forEach(key => {
+    const reducer = reducerMap[key]
+    reducers[key] = typeof reducer === 'function' ?
+      reducer :
+      createLevelReducer(reducer, keyPath ? `${keyPath}.${key}` : key)
+  })
+  const combination = combineReducersAtPath(reducers, keyPath, {
+    adapter: plainObjectAdapter
+  })
+
+  return function levelReducer(state, action) {
+    if (!isPlainObject(state)) {
+      return combination(state, action)
+    }
+
+    const knownState = {}
+    const unknownState = {}
+    let hasUnknownKeys = false
+    Object.keys(state).forEach(key => {
+      if (reducers.hasOwnProperty(key)) {
+        knownState[key] = state[key]
+      } else {
+        unknownState[key] = state[key]
+        hasUnknownKeys = true
+      }
+    })
+
+    if (!hasUnknownKeys) {
+      return combination(state, action)
+    }
+
+    const nextKnownState = combination(knownState, action)
+    return nextKnownState === knownState ?
+      state :
+      { ...unknownState, ...nextKnownState }
+  }
+}
+
+/**
+ * Creates a reducer manager, which lets reducers be added to and removed from
+ * a store after it has been created. This is useful for code splitting, where
+ * the reducers of a feature are only loaded together with the feature.
+ *
+ * The manager builds its root reducer with `combineReducers()`. Keys may be
+ * dotted paths such as `admin.users`, in which case the intermediate levels
+ * are combined as well, and errors name the full path of the failing slice.
+ * State found under keys whose reducers have not been injected yet is kept
+ * untouched, and no unexpected key warning is printed for it. When a reducer
+ * is removed, its slice is dropped from the state.
+ *
+ * Pass `reduce` to `createStore()` and then hand the store to `bindStore()`.
+ * From then on, every injection or removal calls `replaceReducer()` on the
+ * store with a private `@@redux/INJECT_REDUCER` or `@@redux/REMOVE_REDUCER`
+ * action that carries the affected `key`.
+ *
+ * @param {Object} [reducers] The reducers the store starts with. Values may
+ * be reducer functions or nested objects of reducers.
+ *
+ * @returns {Object} The reducer manager.
+ */
+export default function createReducerManager(reducers = {}) {
+  if (!isPlainObject(reducers)) {
+    throw new Error('Expected the reducers to be a plain object.')
+  }
+
+  const reducerMap = copyReducerMap(reducers)
+  let combinedReducer = createLevelReducer(reducerMap)
+  let keysToRemove = []
+  let store
+
+  function replaceReducer(action) {
+    combinedReducer = createLevelReducer(reducerMap)
+    if (store) {
+      store.replaceReducer(reduce, action)
+    }
+  }
+
+  /**
+   * The root reducer that delegates to the currently injected reducers.
+   *
+   * @param {any} state The current state tree.
+   * @param {Object} action The action to handle.
+   * @returns {any} The next state tree.
+   */
+  function reduce(state, action) {
+    if (keysToRemove.length > 0) {
+      state = keysToRemove.reduce(omitPath, state)
+      keysToRemove = []
+    }
+
+    return combinedReducer(state, action)
+  }
+
+  /**
+   * Returns a copy of the nested map of the reducers currently in use.
+   *
+   * @returns {Object} The reducer map.
+   */
+  function getReducerMap() {
+    return copyReducerMap(reducerMap)
+  }
+
+  /**
+   * Connects the manager to the store created with its `reduce` function, so
+   * that later injections and removals replace the store's reducer.
+   *
+   * @param {Store} nextStore The store to update.
+   * @returns {void}
+   */
+  function bindStore(nextStore) {
+    if (!nextStore || typeof nextStore.replaceReducer !== 'function') {
+      throw new Error('Expected the store to have a replaceReducer method.')
+    }
+
+    store = nextStore
+  }
+
+  /**
+   * Adds a reducer under the given key, replacing the reducer already there.
+   *
+   * @param {string} key The key of the slice, or a dotted path to it.
+   * @param {Function} reducer The reducer for the slice.
+   * @returns {void}
+   */
+  function injectReducer(key, reducer) {
+    const path = getPath(key)
+    if (typeof reducer !== 'function') {
+      throw new Error(`Expected the reducer for "${key}" to be a function.`)
+    }
+
+    let level = reducerMap
+    for (let i = 0; i < path.length - 1; i++) {
+      const segment = path[i]
+      if (typeof level[segment] === 'function') {
+        throw new Error(
+          `Cannot inject a reducer for "${key}" because ` +
+          `"${path.slice(0, i + 1).join('.')}" already has a reducer.`
+        )
+      }
+
+      if (!level.hasOwnProperty(segment)) {
+        level[segment] = {}
+      }
+      level = level[segment]
+    }
+
+    const leaf = path[path.length - 1]
+    if (level[leaf] === reducer) {
+      return
+    }
+
+    if (isPlainObject(level[leaf])) {
+      throw new Error(
+        `Cannot inject a reducer for "${key}" because it already holds ` +
+        `nested reducers.`
+      )
+    }
+
+    level[leaf] = reducer
+    replaceReducer({ type: ActionTypes.INJECT_REDUCER, key })
+  }
+
+  /**
+   * Removes the reducer under the given key and drops its slice from the
+   * state. Levels of the reducer map left without any reducer are removed as
+   * well. Levels of the state are only removed once nothing else is left in
+   * them, so that state waiting for other reducers is kept.
+   *
+   * @param {string} key The key of the slice, or a dotted path to it.
+   * @returns {void}
+   */
+  function removeReducer(key) {
+    const path = getPath(key)
+    const levels = [reducerMap]
+    for (let i = 0; i < path.length - 1; i++) {
+      const level = levels[i][path[i]]
+      if (!isPlainObject(level)) {
+        return
+      }
+      levels.push(level)
+    }
+
+    const leaf = path[path.length - 1]
+    if (typeof levels[levels.length - 1][leaf] !== 'function') {
+      return
+    }
+
+    let depth = path.length - 1
+    delete levels[depth][leaf]
+    while (depth > 0 && Object.keys(levels[depth]).length === 0) {
+      depth--
+      delete levels[depth][path[depth]]
+    }
+
+    keysToRemove.push(path)
+    replaceReducer({ type: ActionTypes.REMOVE_REDUCER, key })
+  }
+
+  return {
+    reduce,
+    getReducerMap,
+    bindStore,
+    injectReducer,
+    removeReducer
+  }
+}
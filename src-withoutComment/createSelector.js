@@ -0,0 +1,182 @@
+import isPlainObject from 'lodash/isPlainObject'
+import warning from './utils/warning'
+import strictEqual from './utils/strictEqual'
+
+function areInputsEqual(prevInputs, nextInputs, equalityFn) {
+  for (let i = 0; i < nextInputs.length; i++) {
+    if (!equalityFn(prevInputs[i], nextInputs[i])) {
+      return false
+    }
+  }
+  return true
+}
+
+function getSelectorName(selector, index) {
+  return selector.name ? `"${selector.name}"` : `at index ${index}`
+}
+
+/**
+ * Creates a memoized selector. The input selectors are called with the
+ * arguments of the selector, usually the state, and the result function is
+ * called with what they return. The result is only computed again when one of
+ * the inputs has changed, so the selector keeps returning the same reference
+ * for the same inputs, which lets `watch()` and `shallowEqual` skip work.
+ *
+ * The input selectors may be passed one by one or as an array, followed by
+ * the result function and optionally an options object.
+ *
+ * The selector has these extra properties:
+ *
+ * - `inputsChanged(prevState, nextState, ...args)` tells whether the inputs
+ *   differ between two states, so that a listener receiving the previous and
+ *   the next state can return early when they do not.
+ * - `getInputs(state, ...args)` returns the inputs for a state.
+ * - `recomputations()` returns how many times the result was computed, and
+ *   `resetRecomputations()` sets the count back to zero.
+ * - `clearCache()` forgets the memoized results.
+ * - `resultFunc` and `inputSelectors` are the functions it was created with.
+ *
+ * In development, the input selectors are called twice with the same
+ * arguments the first time the selector runs. A warning is printed if they
+ * return different references, since the result would then be computed
+ * again on every call.
+ *
+ * @param {...Function} funcs The input selectors, followed by the result
+ * function.
+ *
+ * @param {Object} [options] Memoization options, after the result function.
+ *
+ * @param {number} [options.cacheSize=1] How many inputs and results to
+ * remember. The least recently used result is forgotten first.
+ *
+ * @param {Function} [options.equalityFn] Compares an input with the one it
+ * had before. Defaults to a strict equality check.
+ *
+ * @param {Function} [options.resultEqualityFn] Compares a computed result
+ * with the previous one. When they are equal, the previous result is
+ * returned. By default, the computed result is always returned.
+ *
+ * @returns {Function} The memoized selector.
+ */
+export default function createSelector(...funcs) {
+  const options = isPlainObject(funcs[funcs.length - 1]) ? funcs.pop() : {}
+  const resultFunc = funcs.pop()
+  const inputSelectors = Array.isArray(funcs[0]) ? funcs[0] : funcs
+  const {
+    cacheSize = 1,
+    equalityFn = strictEqual,
+    resultEqualityFn
+  } = options
+
+  if (typeof resultFunc !== 'function') {
+    throw new Error('Expected the result function to be a function.')
+  }
+
+  if (
+    inputSelectors.length === 0 ||
+    inputSelectors.some(selector => typeof selector !== 'function')
+  ) {
+    throw new Error('Expected the input selectors to be functions.')
+  }
+
+  if (typeof cacheSize !== 'number' || !(cacheSize >= 1)) {
+    throw new Error('Expected the cache size to be a number of at least 1.')
+  }
+
+  if (
+    typeof equalityFn !== 'function' ||
+    (typeof resultEqualityFn !== 'undefined' &&
+      typeof resultEqualityFn !== 'function')
+  ) {
+    throw new Error('Expected the equality functions to be functions.')
+  }
+
+  let cache = []
+  let lastResult
+  let hasLastResult = false
+  let recomputationCount = 0
+  let hasCheckedStability = process.env.NODE_ENV === 'production'
+
+  function getInputs(...args) {
+    return inputSelectors.map(selector => selector(...args))
+  }
+
+  function checkInputStability(inputs, args) {
+    hasCheckedStability = true
+    const inputsAgain = getInputs(...args)
+    inputs.forEach((input, index) => {
+      if (!equalityFn(input, inputsAgain[index])) {
+        const name = getSelectorName(inputSelectors[index], index)
+        warning(
+          `The input selector ${name} returned a different result when ` +
+          `called with the same arguments, so the memoized selector computes ` +
+          `its result again on every call. Input selectors should return a ` +
+          `part of the state as it is, and leave the work to the result ` +
+          `function.`
+        )
+      }
+    })
+  }
+
+  function selector(...args) {
+    const inputs = getInputs(...args)
+    if (!hasCheckedStability) {
+      checkInputStability(inputs, args)
+    }
+
+    for (let i = 0; i < cache.length; i++) {
+      const entry = cache[i]
+      if (areInputsEqual(entry.inputs, inputs, equalityFn)) {
+        if (i > 0) {
+          cache = [entry].concat(cache.slice(0, i), cache.slice(i + 1))
+        }
+        return entry.result
+      }
+    }
+
+    recomputationCount++
+    let result = resultFunc(...inputs)
+    if (
+      hasLastResult &&
+      resultEqualityFn &&
+      resultEqualityFn(lastResult, result)
+    ) {
+      result = lastResult
+    }
+
+    lastResult = result
+    hasLastResult = true
+    cache = [{ inputs, result }].concat(cache.slice(0, cacheSize - 1))
+    return result
+  }
+
+  /**
+   * Tells whether the inputs of the selector differ between two states.
+   *
+   * @param {any} prevState The previous state.
+   * @param {any} nextState The next state.
+   * @param {...any} args The other arguments of the selector.
+   * @returns {boolean} Whether at least one input has changed.
+   */
+  selector.inputsChanged = (prevState, nextState, ...args) =>
+    !areInputsEqual(
+      getInputs(prevState, ...args),
+      getInputs(nextState, ...args),
+      equalityFn
+    )
+
+  selector.getInputs = getInputs
+  selector.recomputations = () => recomputationCount
+  selector.resetRecomputations = () => {
+    recomputationCount = 0
+  }
+  selector.clearCache = () => {
+    cache = []
+    hasLastResult = false
+    lastResult = undefined
+  }
+  selector.resultFunc = resultFunc
+  selector.inputSelectors = inputSelectors.slice()
+
+  return selector
+}
@@ -1,5 +1,6 @@
 import isPlainObject from 'lodash/isPlainObject'
 import $$observable from 'symbol-observable'
+import strictEqual from './utils/strictEqual'
 
 /**
  * These are private action types reserved by Redux.
@@ -8,7 +9,61 @@ import $$observable from 'symbol-observable'
  * Do not reference these action types directly in your code.
  */
 export const ActionTypes = {
-  INIT: '@@redux/INIT'
+  INIT: '@@redux/INIT',
+  INJECT_REDUCER: '@@redux/INJECT_REDUCER',
+  REMOVE_REDUCER: '@@redux/REMOVE_REDUCER',
+  TIME_TRAVEL: '@@redux/TIME_TRAVEL',
+  REDUCER_ERROR: '@@redux/REDUCER_ERROR',
+  STORE_CHANGED: '@@redux/STORE_CHANGED',
+  SYNC_STATE: '@@redux/SYNC_STATE'
+}
+
+// A private option through which the store created by an enhancer reaches the
+// dispatch of the enhanced store, once the enhancer has returned it.
+const ENHANCED_DISPATCH_OPTION = '@@redux/getEnhancedDispatch'
+
+function scheduleMicrotask(callback) {
+  if (typeof queueMicrotask === 'function') {
+    queueMicrotask(callback)
+  } else {
+    Promise.resolve().then(callback)
+  }
+}
+
+function getReducerErrorPolicy(onReducerError) {
+  if (typeof onReducerError === 'undefined') {
+    return 'throw'
+  }
+
+  if (
+    onReducerError !== 'throw' &&
+    onReducerError !== 'dispatch' &&
+    typeof onReducerError !== 'function'
+  ) {
+    throw new Error(
+      'Expected onReducerError to be "throw", "dispatch" or a function.'
+    )
+  }
+
+  return onReducerError
+}
+
+function getNotificationScheduler(scheduler) {
+  if (typeof scheduler === 'undefined' || scheduler === 'sync') {
+    return null
+  }
+
+  if (scheduler === 'microtask') {
+    return scheduleMicrotask
+  }
+
+  if (typeof scheduler !== 'function') {
+    throw new Error(
+      'Expected the scheduler to be "sync", "microtask" or a function.'
+    )
+  }
+
+  return scheduler
 }
 
 /**
@@ -33,21 +88,67 @@ export const ActionTypes = {
  * time travel, persistence, etc. The only store enhancer that ships with Redux
  * is `applyMiddleware()`.
  *
+ * @param {Object} [options] Store options. They may also be passed in place of
+ * the enhancer, and are handed on to the enhancer when there is one.
+ *
+ * @param {string|Function} [options.scheduler='sync'] When to notify the change
+ * listeners after a dispatch. `'sync'` notifies them before `dispatch()`
+ * returns. `'microtask'` notifies them in a microtask. A function is called
+ * with a callback that notifies the listeners when invoked, which lets the
+ * host plug in a frame callback such as `requestAnimationFrame`. With any
+ * scheduler other than `'sync'`, dispatches made before the listeners run are
+ * coalesced into a single notification, while `getState()` keeps returning
+ * the latest state.
+ *
+ * @param {string} [options.earlyDispatch='throw'] What `applyMiddleware()` does
+ * when a middleware dispatches while the chain is being built. `'throw'`
+ * throws an error naming the middleware. `'queue'` holds the actions and
+ * dispatches them through the whole chain once it is ready.
+ *
+ * @param {string|Function} [options.onReducerError='throw'] What to do when
+ * the reducer throws. `'throw'` lets the error propagate out of `dispatch()`.
+ * `'dispatch'` keeps the previous state and dispatches a private
+ * `@@redux/REDUCER_ERROR` action carrying the `error` and the `action` that
+ * caused it, so that a reducer can record the failure. A function is called
+ * with the error, the action and the previous state, which is kept, and may
+ * dispatch actions itself. If the reducer also throws on the
+ * `@@redux/REDUCER_ERROR` action, that error propagates. Unless the error
+ * propagates, the failing `dispatch()` returns the action as usual, so check
+ * the state or use a function to find out about the failure. The
+ * `@@redux/REDUCER_ERROR` action is dispatched through the store returned by
+ * the enhancer, so that middleware such as a logger sees it too.
+ *
  * @returns {Store} A Redux store that lets you read the state, dispatch actions
  * and subscribe to changes.
  */
-export default function createStore(reducer, preloadedState, enhancer) {
+export default function createStore(reducer, preloadedState, enhancer, options) {
+  if (isPlainObject(enhancer) && typeof options === 'undefined') {
+    options = enhancer
+    enhancer = undefined
+  }
+
   if (typeof preloadedState === 'function' && typeof enhancer === 'undefined') {
     enhancer = preloadedState
     preloadedState = undefined
   }
 
+  if (typeof options === 'undefined') {
+    options = {}
+  } else if (!isPlainObject(options)) {
+    throw new Error('Expected the options to be a plain object.')
+  }
+
   if (typeof enhancer !== 'undefined') {
     if (typeof enhancer !== 'function') {
       throw new Error('Expected the enhancer to be a function.')
     }
 
-    return enhancer(createStore)(reducer, preloadedState)
+    let enhancedStore = null
+    enhancedStore = enhancer(createStore)(reducer, preloadedState, {
+      [ENHANCED_DISPATCH_OPTION]: () => enhancedStore && enhancedStore.dispatch,
+      ...options
+    })
+    return enhancedStore
   }
 
   if (typeof reducer !== 'function') {
@@ -59,6 +160,12 @@ export default function createStore(reducer, preloadedState, enhancer) {
   let currentListeners = []
   let nextListeners = currentListeners
   let isDispatching = false
+  let batchDepth = 0
+  let pendingNotification = null
+  let isNotificationScheduled = false
+  let notificationCount = 0
+  const scheduleNotification = getNotificationScheduler(options.scheduler)
+  const reducerErrorPolicy = getReducerErrorPolicy(options.onReducerError)
 
   function ensureCanMutateNextListeners() {
     if (nextListeners === currentListeners) {
@@ -66,6 +173,50 @@ export default function createStore(reducer, preloadedState, enhancer) {
     }
   }
 
+  function notifyListeners(action) {
+    const notification = ++notificationCount
+    const listeners = currentListeners = nextListeners
+    for (let i = 0; i < listeners.length; i++) {
+      const listener = listeners[i]
+      listener(action, notification)
+    }
+  }
+
+  function handleReducerError(error, action) {
+    if (reducerErrorPolicy === 'dispatch') {
+      const getEnhancedDispatch = options[ENHANCED_DISPATCH_OPTION]
+      const dispatchReducerError =
+        (getEnhancedDispatch && getEnhancedDispatch()) || dispatch
+      dispatchReducerError({ type: ActionTypes.REDUCER_ERROR, error, action })
+    } else {
+      reducerErrorPolicy(error, action, currentState)
+    }
+  }
+
+  function flushNotification() {
+    isNotificationScheduled = false
+    if (!pendingNotification) {
+      return
+    }
+
+    const { action } = pendingNotification
+    pendingNotification = null
+    notifyListeners(action)
+  }
+
+  function requestNotification() {
+    if (batchDepth > 0) {
+      return
+    }
+
+    if (!scheduleNotification) {
+      flushNotification()
+    } else if (!isNotificationScheduled) {
+      isNotificationScheduled = true
+      scheduleNotification(flushNotification)
+    }
+  }
+
   /**
    * Reads the state tree managed by the store.
    *
@@ -95,18 +246,47 @@ export default function createStore(reducer, preloadedState, enhancer) {
    * registered before the `dispatch()` started will be called with the latest
    * state by the time it exits.
    *
-   * @param {Function} listener A callback to be invoked on every dispatch.
+   * The listener is called with the dispatched `action`, the state it was
+   * last notified of and the current state, so it does not have to keep its
+   * own copy of the previous state to find out what changed. When a listener
+   * dispatches, the nested `dispatch()` notifies the others of the latest
+   * state right away, and they are not called again with the older one once
+   * the outer notification resumes.
+   *
+   * @param {Function} listener A callback to be invoked on every dispatch. It
+   * receives `(action, prevState, nextState)`.
+   *
+   * @param {Object} [options] Subscription options.
+   * @param {boolean} [options.skipUnchanged=false] If `true`, the listener is
+   * not called when the state reference has not changed since it was last
+   * notified.
+   *
    * @returns {Function} A function to remove this change listener.
    */
-  function subscribe(listener) {
+  function subscribe(listener, options = {}) {
     if (typeof listener !== 'function') {
       throw new Error('Expected listener to be a function.')
     }
 
     let isSubscribed = true
+    let lastState = currentState
+    let lastNotification = notificationCount
+
+    function notify(action, notification) {
+      if (notification < lastNotification) {
+        return
+      }
+
+      const prevState = lastState
+      lastState = currentState
+      lastNotification = notification
+      if (!options.skipUnchanged || prevState !== lastState) {
+        listener(action, prevState, lastState)
+      }
+    }
 
     ensureCanMutateNextListeners()
-    nextListeners.push(listener)
+    nextListeners.push(notify)
 
     return function unsubscribe() {
       if (!isSubscribed) {
@@ -116,11 +296,61 @@ export default function createStore(reducer, preloadedState, enhancer) {
       isSubscribed = false
 
       ensureCanMutateNextListeners()
-      const index = nextListeners.indexOf(listener)
+      const index = nextListeners.indexOf(notify)
       nextListeners.splice(index, 1)
     }
   }
 
+  /**
+   * Watches a part of the state tree. The `selector` is run against the new
+   * state after every dispatch that changed the state reference, and
+   * `onChange` is only called when its result differs from the previous one
+   * according to `equalityFn`. Selectors must therefore be pure functions of
+   * the state.
+   *
+   * The watcher is registered with `subscribe()`, so the same snapshot rules
+   * apply: watching or unwatching during a dispatch only takes effect on the
+   * next `dispatch()` call.
+   *
+   * @param {Function} selector A function that receives the state tree and
+   * returns the value to watch.
+   *
+   * @param {Function} onChange A callback invoked with `(nextValue, prevValue)`
+   * whenever the selected value changes.
+   *
+   * @param {Function} [equalityFn] A function deciding whether two selected
+   * values are equal. Defaults to reference equality. Redux ships
+   * `shallowEqual` and `deepEqual` for the common cases.
+   *
+   * @returns {Function} A function to stop watching.
+   */
+  function watch(selector, onChange, equalityFn = strictEqual) {
+    if (typeof selector !== 'function') {
+      throw new Error('Expected the selector to be a function.')
+    }
+
+    if (typeof onChange !== 'function') {
+      throw new Error('Expected onChange to be a function.')
+    }
+
+    if (typeof equalityFn !== 'function') {
+      throw new Error('Expected the equality function to be a function.')
+    }
+
+    let currentValue = selector(currentState)
+
+    return subscribe(() => {
+      const nextValue = selector(currentState)
+      if (equalityFn(currentValue, nextValue)) {
+        return
+      }
+
+      const prevValue = currentValue
+      currentValue = nextValue
+      onChange(nextValue, prevValue)
+    }, { skipUnchanged: true })
+  }
+
   /**
    * Dispatches an action. It is the only way to trigger a state change.
    *
@@ -165,22 +395,67 @@ export default function createStore(reducer, preloadedState, enhancer) {
       throw new Error('Reducers may not dispatch actions.')
     }
 
+    let reducerError
+    let hasReducerError = false
     try {
       isDispatching = true
       currentState = currentReducer(currentState, action)
+    } catch (e) {
+      if (
+        reducerErrorPolicy === 'throw' ||
+        action.type === ActionTypes.REDUCER_ERROR
+      ) {
+        throw e
+      }
+      reducerError = e
+      hasReducerError = true
     } finally {
       isDispatching = false
     }
 
-    const listeners = currentListeners = nextListeners
-    for (let i = 0; i < listeners.length; i++) {
-      const listener = listeners[i]
-      listener()
+    if (hasReducerError) {
+      handleReducerError(reducerError, action)
+      return action
     }
 
+    pendingNotification = { action }
+    requestNotification()
+
     return action
   }
 
+  /**
+   * Runs `fn` and notifies the change listeners only once when it returns,
+   * no matter how many actions were dispatched in the meantime. With a
+   * scheduler other than `'sync'`, that single notification is scheduled
+   * instead of being delivered right away. Every action
+   * is still passed through the reducer as soon as it is dispatched, so
+   * `getState()` is always up to date inside `fn`.
+   *
+   * Dispatches from anywhere during the batch, including nested `batch()`
+   * calls, are coalesced into the same notification. Listeners receive the
+   * last dispatched action, the state before the batch started and the state
+   * after it ended. If nothing was dispatched, listeners are not called.
+   *
+   * @param {Function} fn A function that dispatches the actions to batch.
+   * @returns {any} The value returned by `fn`.
+   */
+  function batch(fn) {
+    if (typeof fn !== 'function') {
+      throw new Error('Expected the batch callback to be a function.')
+    }
+
+    batchDepth++
+    try {
+      return fn()
+    } finally {
+      batchDepth--
+      if (pendingNotification) {
+        requestNotification()
+      }
+    }
+  }
+
   /**
    * Replaces the reducer currently used by the store to calculate the state.
    *
@@ -189,15 +464,19 @@ export default function createStore(reducer, preloadedState, enhancer) {
    * implement a hot reloading mechanism for Redux.
    *
    * @param {Function} nextReducer The reducer for the store to use instead.
+   *
+   * @param {Object} [action] The action dispatched so that the new reducer can
+   * populate the state. Defaults to the private `INIT` action.
+   *
    * @returns {void}
    */
-  function replaceReducer(nextReducer) {
+  function replaceReducer(nextReducer, action = { type: ActionTypes.INIT }) {
     if (typeof nextReducer !== 'function') {
       throw new Error('Expected the nextReducer to be a function.')
     }
 
     currentReducer = nextReducer
-    dispatch({ type: ActionTypes.INIT })
+    dispatch(action)
   }
 
   /**
@@ -244,9 +523,15 @@ export default function createStore(reducer, preloadedState, enhancer) {
   // the initial state tree.
   dispatch({ type: ActionTypes.INIT })
 
+  // Nobody could have subscribed yet, so there is nothing to notify about the
+  // initial state, even if a scheduler has been asked to flush it later.
+  pendingNotification = null
+
   return {
     dispatch,
     subscribe,
+    watch,
+    batch,
     getState,
     replaceReducer,
     [$$observable]: observable
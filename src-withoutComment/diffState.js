@@ -0,0 +1,100 @@
+import isPlainObject from 'lodash/isPlainObject'
+import isTraversable from './utils/isTraversable'
+import isSameValue from './utils/isSameValue'
+
+const hasOwnProperty = Object.prototype.hasOwnProperty
+
+function collectChanges(prevValue, nextValue, path, diff) {
+  if (isSameValue(prevValue, nextValue)) {
+    return
+  }
+
+  if (
+    !isTraversable(prevValue) ||
+    !isTraversable(nextValue) ||
+    Array.isArray(prevValue) !== Array.isArray(nextValue)
+  ) {
+    diff.changed.push({ path, prevValue, nextValue })
+    return
+  }
+
+  Object.keys(prevValue).forEach(key => {
+    if (!hasOwnProperty.call(nextValue, key)) {
+      diff.removed.push({ path: path.concat(key), value: prevValue[key] })
+    }
+  })
+
+  Object.keys(nextValue).forEach(key => {
+    if (!hasOwnProperty.call(prevValue, key)) {
+      diff.added.push({ path: path.concat(key), value: nextValue[key] })
+    } else {
+      collectChanges(prevValue[key], nextValue[key], path.concat(key), diff)
+    }
+  })
+}
+
+/**
+ * Compares two states returned by `getState()` and describes what changed
+ * between them.
+ *
+ * Plain objects and arrays are compared key by key, and subtrees that are the
+ * same reference in both states are skipped, which keeps the comparison cheap
+ * for reducers that return the previous state when nothing changed. Other
+ * values, including `Map`s and class instances, are compared by reference.
+ *
+ * Paths are arrays of keys, such as `['todos', '0', 'done']`. Array indexes
+ * are strings like any other key, and keys containing dots stay unambiguous.
+ *
+ * @param {any} prevState The state before the change.
+ * @param {any} nextState The state after the change.
+ *
+ * @returns {Object} The diff. `added` and `removed` list the `path` and
+ * `value` of keys that only exist in one of the states. `changed` lists the
+ * `path`, `prevValue` and `nextValue` of values that were replaced.
+ * `changedSlices` lists the top-level keys whose value is not the same
+ * reference anymore, which are the slices of `combineReducers()` that changed.
+ */
+export function diffState(prevState, nextState) {
+  const diff = {
+    added: [],
+    removed: [],
+    changed: [],
+    changedSlices: []
+  }
+
+  collectChanges(prevState, nextState, [], diff)
+
+  if (isPlainObject(prevState) && isPlainObject(nextState)) {
+    const keys = Object.keys(prevState).concat(
+      Object.keys(nextState).filter(key =>
+        !hasOwnProperty.call(prevState, key)
+      )
+    )
+    diff.changedSlices = keys.filter(key =>
+      !isSameValue(prevState[key], nextState[key]) ||
+      hasOwnProperty.call(prevState, key) !==
+        hasOwnProperty.call(nextState, key)
+    )
+  }
+
+  return diff
+}
+
+/**
+ * Wraps a listener so that it receives the diff of the latest dispatch. Pass
+ * the result to `store.subscribe()`, optionally with `skipUnchanged: true` to
+ * skip dispatches that did not change the state.
+ *
+ * @param {Function} listener Called with the diff returned by `diffState()`,
+ * the action, the previous state and the next state.
+ *
+ * @returns {Function} A change listener for `store.subscribe()`.
+ */
+export function createDiffListener(listener) {
+  if (typeof listener !== 'function') {
+    throw new Error('Expected the listener to be a function.')
+  }
+
+  return (action, prevState, nextState) =>
+    listener(diffState(prevState, nextState), action, prevState, nextState)
+}
@@ -0,0 +1,53 @@
+import $$observable from 'symbol-observable'
+import warning from './utils/warning'
+
+function describeError(error) {
+  return error instanceof Error ? error.message : String(error)
+}
+
+/**
+ * A middleware that lets you dispatch observables, that is any object
+ * implementing the `Symbol.observable` interop point, such as an RxJS
+ * observable. The middleware subscribes to the observable and dispatches
+ * every value it emits as an action. If a value cannot be dispatched, for
+ * example because it is not a valid action, a warning is printed and the
+ * value is skipped, so that the error does not escape into the observable.
+ * If the observable errors, a warning is printed and nothing more is
+ * dispatched.
+ *
+ * `dispatch()` returns the subscription. Calling its `unsubscribe()` method,
+ * or its `cancel()` method like with the other middlewares, stops the
+ * observable from dispatching further actions.
+ */
+export default function observableMiddleware({ dispatch }) {
+  return next => action => {
+    if (!action || typeof action[$$observable] !== 'function') {
+      return next(action)
+    }
+
+    const observable = action[$$observable]()
+    const subscription = observable.subscribe({
+      next(value) {
+        try {
+          dispatch(value)
+        } catch (e) {
+          warning(
+            'A value emitted by an observable could not be dispatched: ' +
+            describeError(e)
+          )
+        }
+      },
+      error(error) {
+        warning(
+          'An observable dispatched as an action errored: ' +
+          describeError(error)
+        )
+      }
+    })
+
+    subscription.cancel = () => {
+      subscription.unsubscribe()
+    }
+    return subscription
+  }
+}
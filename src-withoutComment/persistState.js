@@ -0,0 +1,247 @@
+import isPlainObject from 'lodash/isPlainObject'
+import warning from './utils/warning'
+
+function pickKeys(state, whitelist, blacklist) {
+  if (!isPlainObject(state) || (!whitelist && !blacklist)) {
+    return state
+  }
+
+  const picked = {}
+  Object.keys(state).forEach(key => {
+    const isAllowed = whitelist ?
+      whitelist.indexOf(key) !== -1 :
+      blacklist.indexOf(key) === -1
+    if (isAllowed) {
+      picked[key] = state[key]
+    }
+  })
+  return picked
+}
+
+function defaultMerge(preloadedState, restoredState) {
+  if (isPlainObject(preloadedState) && isPlainObject(restoredState)) {
+    return { ...preloadedState, ...restoredState }
+  }
+  return restoredState
+}
+
+/**
+ * Creates a store enhancer that saves the state to a storage whenever it
+ * changes, and restores it from there when the store is created.
+ *
+ * The restored state is merged into the `preloadedState` before the store is
+ * created. When the top-level keys handled by the root reducer are given as
+ * `keys`, or as a `whitelist`, only those keys are restored, so slices that
+ * were removed since the snapshot was written are dropped instead of
+ * triggering the unexpected key warning of `combineReducers()`. The reducer is
+ * never called outside of the store to find them out, so that enhancers
+ * keeping track of its calls, such as `timeTravel()`, are not confused.
+ *
+ * Snapshots carry a version number. When a snapshot older than `version` is
+ * restored, the migrations for every newer version are applied in order.
+ * Snapshots newer than `version` are ignored.
+ *
+ * The enhanced store has two extra methods: `flush()` writes a pending
+ * snapshot right away, and `purge()` deletes the stored snapshot.
+ *
+ * @param {Object} options Persistence options.
+ *
+ * @param {Object} options.storage Where to keep the snapshot. It must have
+ * `getItem`, `setItem` and `removeItem` methods like `window.localStorage`.
+ * See `createMemoryStorage` and `createFileStorage` for other storages.
+ *
+ * @param {string} [options.key='redux'] The key of the snapshot in storage.
+ *
+ * @param {string[]} [options.whitelist] The top-level keys to persist.
+ *
+ * @param {string[]} [options.blacklist] The top-level keys not to persist.
+ * Cannot be combined with `whitelist`.
+ *
+ * @param {string[]} [options.keys] The top-level keys handled by the root
+ * reducer. Restored keys that are not listed are dropped. Defaults to the
+ * `whitelist`, and to restoring every key when there is none.
+ *
+ * @param {number} [options.throttle=100] The minimum number of milliseconds
+ * between two writes. With `0`, every change is written right away.
+ *
+ * @param {number} [options.version=0] The version of the state shape.
+ *
+ * @param {Object} [options.migrations] Functions keyed by version that turn
+ * the state of the previous version into the state of that version.
+ *
+ * @param {Function} [options.merge] A function receiving the preloaded state
+ * and the restored state, and returning the initial state of the store.
+ * Defaults to a shallow merge where restored keys win.
+ *
+ * @param {Function} [options.serialize=JSON.stringify] Turns the snapshot
+ * into a string.
+ *
+ * @param {Function} [options.deserialize=JSON.parse] Turns the stored string
+ * back into a snapshot.
+ *
+ * @returns {Function} A store enhancer persisting the state.
+ */
+export default function persistState(options = {}) {
+  const {
+    storage,
+    key = 'redux',
+    whitelist,
+    blacklist,
+    keys = whitelist,
+    throttle = 100,
+    version = 0,
+    migrations = {},
+    merge = defaultMerge,
+    serialize = JSON.stringify,
+    deserialize = JSON.parse
+  } = options
+
+  if (
+    !storage ||
+    typeof storage.getItem !== 'function' ||
+    typeof storage.setItem !== 'function' ||
+    typeof storage.removeItem !== 'function'
+  ) {
+    throw new Error(
+      'Expected the storage to have getItem, setItem and removeItem methods.'
+    )
+  }
+
+  if (whitelist && blacklist) {
+    throw new Error('Expected either a whitelist or a blacklist, not both.')
+  }
+
+  if (
+    (whitelist && !Array.isArray(whitelist)) ||
+    (blacklist && !Array.isArray(blacklist))
+  ) {
+    throw new Error('Expected the whitelist and blacklist to be arrays of keys.')
+  }
+
+  if (keys && !Array.isArray(keys)) {
+    throw new Error('Expected the keys to be an array.')
+  }
+
+  if (typeof version !== 'number') {
+    throw new Error('Expected the version to be a number.')
+  }
+
+  function migrate(state, fromVersion) {
+    return Object.keys(migrations)
+      .map(Number)
+      .filter(migrationVersion =>
+        migrationVersion > fromVersion && migrationVersion <= version
+      )
+      .sort((a, b) => a - b)
+      .reduce((migratedState, migrationVersion) =>
+        migrations[migrationVersion](migratedState), state
+      )
+  }
+
+  function restore() {
+    let snapshot
+    try {
+      const serialized = storage.getItem(key)
+      if (serialized === null || typeof serialized === 'undefined') {
+        return undefined
+      }
+      snapshot = deserialize(serialized)
+    } catch (e) {
+      warning(`Could not read the persisted state "${key}": ${e.message}`)
+      return undefined
+    }
+
+    if (!snapshot || typeof snapshot.version !== 'number') {
+      warning(`Ignoring the persisted state "${key}" because it has no version.`)
+      return undefined
+    }
+
+    if (snapshot.version > version) {
+      warning(
+        `Ignoring the persisted state "${key}" because its version ` +
+        `${snapshot.version} is newer than ${version}.`
+      )
+      return undefined
+    }
+
+    return migrate(snapshot.state, snapshot.version)
+  }
+
+  return (createStore) => (reducer, preloadedState, storeOptions) => {
+    const restoredState = pickKeys(
+      pickKeys(restore(), whitelist, blacklist),
+      keys
+    )
+
+    const store = createStore(
+      reducer,
+      typeof restoredState === 'undefined' ?
+        preloadedState :
+        merge(preloadedState, restoredState),
+      storeOptions
+    )
+
+    let lastSavedState = store.getState()
+    let timeout = null
+
+    function save() {
+      if (timeout !== null) {
+        clearTimeout(timeout)
+        timeout = null
+      }
+
+      const state = store.getState()
+      if (state === lastSavedState) {
+        return
+      }
+
+      lastSavedState = state
+      try {
+        storage.setItem(key, serialize({
+          version,
+          state: pickKeys(state, whitelist, blacklist)
+        }))
+      } catch (e) {
+        warning(`Could not persist the state "${key}": ${e.message}`)
+      }
+    }
+
+    store.subscribe(() => {
+      if (throttle <= 0) {
+        save()
+      } else if (timeout === null) {
+        timeout = setTimeout(save, throttle)
+      }
+    })
+
+    /**
+     * Writes the current state to storage right away if it has changed since
+     * the last write.
+     *
+     * @returns {void}
+     */
+    function flush() {
+      save()
+    }
+
+    /**
+     * Deletes the persisted snapshot. The next change is written again.
+     *
+     * @returns {void}
+     */
+    function purge() {
+      if (timeout !== null) {
+        clearTimeout(timeout)
+        timeout = null
+      }
+      lastSavedState = undefined
+      storage.removeItem(key)
+    }
+
+    return {
+      ...store,
+      flush,
+      purge
+    }
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Storages for `persistState`. A storage is any object implementing the
+ * synchronous part of the Web Storage interface: `getItem(key)` returns the
+ * stored string or `null`, `setItem(key, value)` stores a string, and
+ * `removeItem(key)` deletes it. `window.localStorage` and
+ * `window.sessionStorage` can be used as they are.
+ */
+
+/**
+ * Creates a storage that keeps its items in memory. This is handy for tests
+ * and for server side rendering.
+ *
+ * @param {Object} [items] The items the storage starts with.
+ * @returns {Object} The storage.
+ */
+export function createMemoryStorage(items = {}) {
+  const store = { ...items }
+
+  return {
+    getItem(key) {
+      return store.hasOwnProperty(key) ? store[key] : null
+    },
+    setItem(key, value) {
+      store[key] = String(value)
+    },
+    removeItem(key) {
+      delete store[key]
+    }
+  }
+}
+
+/**
+ * Creates a storage that keeps every item in its own file inside a directory.
+ * It is meant for Node, which is why the `fs` module is passed in instead of
+ * being imported, so that browser bundles do not pull it in.
+ *
+ * @param {Object} fs Node's `fs` module, or an object with the same
+ * synchronous methods.
+ * @param {string} directory The directory holding the files. It is created on
+ * the first write if it does not exist.
+ * @returns {Object} The storage.
+ */
+export function createFileStorage(fs, directory) {
+  if (!fs || typeof fs.readFileSync !== 'function') {
+    throw new Error('Expected fs to be the Node fs module.')
+  }
+
+  if (typeof directory !== 'string' || directory.length === 0) {
+    throw new Error('Expected the directory to be a non-empty string.')
+  }
+
+  const getFilePath = key => `${directory}/${encodeURIComponent(key)}.json`
+
+  return {
+    getItem(key) {
+      try {
+        return fs.readFileSync(getFilePath(key), 'utf8')
+      } catch (e) {
+        if (e.code === 'ENOENT') {
+          return null
+        }
+        throw e
+      }
+    },
+    setItem(key, value) {
+      fs.mkdirSync(directory, { recursive: true })
+      fs.writeFileSync(getFilePath(key), String(value), 'utf8')
+    },
+    removeItem(key) {
+      try {
+        fs.unlinkSync(getFilePath(key))
+      } catch (e) {
+        if (e.code !== 'ENOENT') {
+          throw e
+        }
+      }
+    }
+  }
+}
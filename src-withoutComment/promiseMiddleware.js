@@ -0,0 +1,76 @@
+import isThenable from './utils/isThenable'
+
+function createAction(type, payload, meta, error) {
+  const action = { type }
+  if (typeof payload !== 'undefined') {
+    action.payload = payload
+  }
+  if (typeof meta !== 'undefined') {
+    action.meta = meta
+  }
+  if (error) {
+    action.error = true
+  }
+  return action
+}
+
+/**
+ * A middleware that lets you dispatch Promises.
+ *
+ * When the action has a Promise as its `payload`, an action of type
+ * `${type}_PENDING` is dispatched right away. Once the Promise settles, an
+ * action of type `${type}_FULFILLED` carrying the value, or `${type}_REJECTED`
+ * carrying the error and `error: true`, is dispatched. The `meta` of the
+ * original action is copied to all three. `dispatch()` returns a Promise
+ * resolving to the `_FULFILLED` or `_REJECTED` action. It does not reject,
+ * since the failure has been dispatched already, so the work can be started
+ * without waiting for it.
+ *
+ * When the action is itself a Promise, the value it resolves to is
+ * dispatched as an action, and `dispatch()` returns a Promise for the result
+ * of that dispatch, which rejects if the action Promise rejects.
+ *
+ * The returned Promise has a `cancel()` method. After it has been called,
+ * nothing is dispatched when the Promise settles, and the returned Promise
+ * resolves to `undefined` instead.
+ */
+export default function promiseMiddleware({ dispatch }) {
+  return next => action => {
+    let isCancelled = false
+    let handle
+
+    if (isThenable(action)) {
+      handle = action.then(
+        value => isCancelled ? undefined : dispatch(value),
+        error => {
+          if (!isCancelled) {
+            throw error
+          }
+        }
+      )
+    } else if (action && isThenable(action.payload)) {
+      const { type, payload, meta } = action
+
+      next(createAction(`${type}_PENDING`, undefined, meta))
+      const settle = settledAction => {
+        if (isCancelled) {
+          return undefined
+        }
+
+        dispatch(settledAction)
+        return settledAction
+      }
+      handle = payload.then(
+        value => settle(createAction(`${type}_FULFILLED`, value, meta)),
+        error => settle(createAction(`${type}_REJECTED`, error, meta, true))
+      )
+    } else {
+      return next(action)
+    }
+
+    handle.cancel = () => {
+      isCancelled = true
+    }
+    return handle
+  }
+}
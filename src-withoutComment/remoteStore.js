@@ -0,0 +1,337 @@
+import createStore, { ActionTypes } from './createStore'
+import $$observable from 'symbol-observable'
+import isPlainObject from 'lodash/isPlainObject'
+import { diffState } from './diffState'
+import warning from './utils/warning'
+import assertTransport from './utils/assertTransport'
+
+const REMOTE_CHANNEL = '@@redux/remote'
+
+function createPatches(prevState, nextState) {
+  const { added, removed, changed } = diffState(prevState, nextState)
+  return removed.map(({ path }) => ({ op: 'remove', path }))
+    .concat(added.map(({ path, value }) => ({ op: 'add', path, value })))
+    .concat(changed.map(({ path, nextValue }) =>
+      ({ op: 'replace', path, value: nextValue })
+    ))
+}
+
+/**
+ * Applies patches made by `createPatches()` without changing the state they
+ * are applied to. Every object or array on the way to a patched value is
+ * copied once, and the rest of the state is shared.
+ */
+function applyPatches(state, patches) {
+  const copies = new Set()
+
+  function writable(value) {
+    if (copies.has(value)) {
+      return value
+    }
+
+    const copy = Array.isArray(value) ? value.slice() : { ...value }
+    copies.add(copy)
+    return copy
+  }
+
+  let nextState = state
+  patches.forEach(({ op, path, value }) => {
+    if (path.length === 0) {
+      nextState = value
+      return
+    }
+
+    nextState = writable(nextState)
+    let parent = nextState
+    for (let i = 0; i < path.length - 1; i++) {
+      const child = writable(parent[path[i]])
+      parent[path[i]] = child
+      parent = child
+    }
+
+    const key = path[path.length - 1]
+    if (op !== 'remove') {
+      parent[key] = value
+    } else if (Array.isArray(parent)) {
+      // Only the end of an array can be removed, the rest is replaced.
+      parent.length = Math.min(parent.length, Number(key))
+    } else {
+      delete parent[key]
+    }
+  })
+  return nextState
+}
+
+function isChannelMessage(message) {
+  return isPlainObject(message) && message.channel === REMOTE_CHANNEL
+}
+
+/**
+ * Makes a store available to the remote stores created with
+ * `createRemoteStore()` on the other end of a transport, typically from a
+ * worker that runs the reducers off the main thread. See
+ * `createPortTransport` for a transport over a worker port.
+ *
+ * The actions sent by remote stores are dispatched to the store. After every
+ * dispatch, the remote stores receive the action and the patches that turn
+ * the previous state into the next one, so only what changed is cloned.
+ *
+ * @param {Store} store The store to expose.
+ *
+ * @param {Object} transport The channel to the remote stores.
+ *
+ * @param {Object} [options] Options.
+ *
+ * @param {Object} [options.reducers] Reducers that remote stores may switch
+ * to with `replaceReducer()`, keyed by the name they use. Functions cannot be
+ * sent through a transport, so they have to be known on this end.
+ *
+ * @returns {Function} A function that stops exposing the store.
+ */
+export function exposeStore(store, transport, options = {}) {
+  const { reducers = {} } = options
+
+  if (
+    !store ||
+    typeof store.dispatch !== 'function' ||
+    typeof store.subscribe !== 'function' ||
+    typeof store.getState !== 'function'
+  ) {
+    throw new Error(
+      'Expected the store to have dispatch, subscribe and getState methods.'
+    )
+  }
+
+  assertTransport(transport)
+
+  if (!isPlainObject(reducers)) {
+    throw new Error('Expected the reducers to be a plain object.')
+  }
+
+  function send(kind, message) {
+    transport.send({ channel: REMOTE_CHANNEL, kind, ...message })
+  }
+
+  function replaceReducer(key, action) {
+    if (!reducers.hasOwnProperty(key)) {
+      throw new Error(`No reducer is registered under the name "${key}".`)
+    }
+
+    store.replaceReducer(reducers[key], action)
+  }
+
+  // Every remote store holds the last state that was sent, so the patches
+  // are computed from it rather than from the arguments of the listener.
+  let lastSentState = store.getState()
+
+  const unsubscribe = store.subscribe(action => {
+    const nextState = store.getState()
+    const patches = createPatches(lastSentState, nextState)
+    lastSentState = nextState
+    send('patch', { action, patches })
+  })
+
+  const unlisten = transport.listen(message => {
+    if (!isChannelMessage(message)) {
+      return
+    }
+
+    try {
+      switch (message.kind) {
+        case 'connect':
+          send('state', { state: lastSentState })
+          break
+        case 'dispatch':
+          store.dispatch(message.action)
+          break
+        case 'replaceReducer':
+          replaceReducer(message.key, message.action)
+          break
+      }
+    } catch (e) {
+      send('error', {
+        action: message.action,
+        message: e instanceof Error ? e.message : String(e)
+      })
+    }
+  })
+
+  return function stop() {
+    unsubscribe()
+    unlisten()
+  }
+}
+
+/**
+ * Creates a store that mirrors a store exposed with `exposeStore()` on the
+ * other end of a transport. This lets expensive reducers run in a worker
+ * while the main thread keeps the usual store interface.
+ *
+ * `getState()` returns a local copy of the remote state, which is kept up to
+ * date with the patches sent after every remote dispatch. Until the first
+ * copy has arrived, it returns `undefined`, and `whenReady()` returns a
+ * Promise resolving once it has. Listeners are called after each patch with
+ * the remote action, the previous state and the next state, and `watch()` and
+ * the observable interop work as usual.
+ *
+ * `dispatch()` sends the action and returns it right away, before the state
+ * has changed. Only plain object actions can be sent, so run middleware such
+ * as thunks on the remote store. `replaceReducer()` takes the name of a
+ * reducer registered with `exposeStore()` instead of a function. Errors
+ * thrown by the remote store are reported through `onError`.
+ *
+ * @param {Object} transport The channel to the exposed store.
+ *
+ * @param {Object} [options] Options.
+ *
+ * @param {Function} [options.onError] Called with an `Error` and the action
+ * whenever the remote store fails to handle a message. Defaults to printing
+ * a warning.
+ *
+ * @returns {Store} The remote store.
+ */
+export function createRemoteStore(transport, options = {}) {
+  const {
+    onError = (error, action) => warning(
+      `The remote store failed to handle the action ` +
+      `"${action ? String(action.type) : 'unknown'}": ${error.message}`
+    )
+  } = options
+
+  assertTransport(transport)
+
+  if (typeof onError !== 'function') {
+    throw new Error('Expected onError to be a function.')
+  }
+
+  let pendingPatches = null
+  let isReady = false
+  let resolveReady
+  const ready = new Promise(resolve => {
+    resolveReady = resolve
+  })
+
+  function mirrorReducer(state, action) {
+    if (action.type === ActionTypes.SYNC_STATE) {
+      return action.state
+    }
+
+    return pendingPatches ? applyPatches(state, pendingPatches) : state
+  }
+
+  const mirror = createStore(mirrorReducer)
+
+  function send(kind, message) {
+    transport.send({ channel: REMOTE_CHANNEL, kind, ...message })
+  }
+
+  const unlisten = transport.listen(message => {
+    if (!isChannelMessage(message)) {
+      return
+    }
+
+    switch (message.kind) {
+      case 'state':
+        if (!isReady) {
+          mirror.dispatch({
+            type: ActionTypes.SYNC_STATE,
+            state: message.state
+          })
+          isReady = true
+          resolveReady()
+        }
+        break
+      case 'patch':
+        if (isReady) {
+          pendingPatches = message.patches
+          try {
+            mirror.dispatch(message.action)
+          } finally {
+            pendingPatches = null
+          }
+        }
+        break
+      case 'error':
+        onError(new Error(message.message), message.action)
+        break
+    }
+  })
+
+  send('connect')
+
+  /**
+   * Sends an action to the remote store.
+   *
+   * @param {Object} action A plain object action.
+   * @returns {Object} The action.
+   */
+  function dispatch(action) {
+    if (!isPlainObject(action)) {
+      throw new Error(
+        'Actions must be plain objects. ' +
+        'Run middleware for async actions on the remote store.'
+      )
+    }
+
+    if (typeof action.type === 'undefined') {
+      throw new Error(
+        'Actions may not have an undefined "type" property. ' +
+        'Have you misspelled a constant?'
+      )
+    }
+
+    send('dispatch', { action })
+    return action
+  }
+
+  /**
+   * Replaces the reducer of the remote store.
+   *
+   * @param {string} key The name of a reducer registered with
+   * `exposeStore()`.
+   * @param {Object} [action] The action dispatched so that the new reducer
+   * can populate the state. Defaults to the private `INIT` action.
+   * @returns {void}
+   */
+  function replaceReducer(key, action) {
+    if (typeof key !== 'string') {
+      throw new Error(
+        'Expected the name of a reducer registered with exposeStore(). ' +
+        'Functions cannot be sent to a remote store.'
+      )
+    }
+
+    send('replaceReducer', { key, action })
+  }
+
+  /**
+   * Returns a Promise that resolves once the first copy of the remote state
+   * has arrived.
+   *
+   * @returns {Promise} A Promise resolving when the store is ready.
+   */
+  function whenReady() {
+    return ready
+  }
+
+  /**
+   * Stops listening to the remote store. The state is not updated anymore
+   * afterwards.
+   *
+   * @returns {void}
+   */
+  function disconnect() {
+    unlisten()
+  }
+
+  return {
+    dispatch,
+    subscribe: mirror.subscribe,
+    watch: mirror.watch,
+    getState: mirror.getState,
+    replaceReducer,
+    whenReady,
+    disconnect,
+    [$$observable]: mirror[$$observable]
+  }
+}
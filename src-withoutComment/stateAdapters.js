@@ -0,0 +1,79 @@
+import isPlainObject from 'lodash/isPlainObject'
+
+/**
+ * State adapters let `combineReducers` build state containers other than
+ * plain objects. An adapter implements five operations, and may implement a
+ * sixth:
+ *
+ * - `create()` returns a new, empty container.
+ * - `get(state, key)` reads the value stored under `key`.
+ * - `set(state, key, value)` stores `value` under `key` and returns the
+ *   resulting container. It is only called on containers obtained from
+ *   `create()` or from a previous `set()` during the same reducer call, so it
+ *   may either mutate the container or return a new one.
+ * - `keys(state)` lists the keys of the container.
+ * - `is(state)` tells whether a value is a container of the expected type.
+ * - `finalize(state)`, if present, is called once the reducer has stored
+ *   every key in a new container, and returns the container to hand out. It
+ *   lets an adapter fill a container in place and seal it afterwards.
+ */
+
+/**
+ * The default adapter, which keeps the state in plain objects.
+ */
+export const plainObjectAdapter = {
+  create: () => ({}),
+  get: (state, key) => state[key],
+  set: (state, key, value) => {
+    state[key] = value
+    return state
+  },
+  keys: state => Object.keys(state),
+  is: isPlainObject
+}
+
+/**
+ * An adapter that keeps the state in ES `Map` instances.
+ */
+export const mapAdapter = {
+  create: () => new Map(),
+  get: (state, key) => state.get(key),
+  set: (state, key, value) => state.set(key, value),
+  keys: state => Array.from(state.keys()),
+  is: state => typeof Map !== 'undefined' && state instanceof Map
+}
+
+/**
+ * An adapter that keeps the state in frozen plain objects, so that reducers
+ * cannot mutate the combined state in place. The keys are stored in a new
+ * object, which is frozen once it is complete.
+ */
+export const frozenObjectAdapter = {
+  ...plainObjectAdapter,
+  finalize: state => Object.freeze(state)
+}
+
+export function assertStateAdapter(adapter) {
+  const methods = ['create', 'get', 'set', 'keys', 'is']
+  if (
+    !adapter ||
+    methods.some(method => typeof adapter[method] !== 'function')
+  ) {
+    throw new Error(
+      `Expected the state adapter to implement ${methods.join(', ')}.`
+    )
+  }
+
+  if (
+    typeof adapter.finalize !== 'undefined' &&
+    typeof adapter.finalize !== 'function'
+  ) {
+    throw new Error(
+      'Expected the finalize method of the state adapter to be a function.'
+    )
+  }
+}
+
+export function finalizeState(adapter, state) {
+  return adapter.finalize ? adapter.finalize(state) : state
+}
@@ -0,0 +1,73 @@
+/**
+ * Transports for `syncState`. A transport is any object with two methods:
+ * `send(message)` delivers a message to every other end of the channel, and
+ * `listen(handler)` calls `handler` with each message received and returns a
+ * function that stops listening. Messages are plain objects holding actions
+ * and state, so they must survive the structured clone algorithm.
+ */
+
+/**
+ * Creates a transport that delivers messages within the same process, in a
+ * microtask like a real channel would. Every store using the same loopback
+ * transport is connected to the others, which is handy for tests.
+ *
+ * @returns {Object} The transport.
+ */
+export function createLoopbackTransport() {
+  let handlers = []
+
+  return {
+    send(message) {
+      handlers.forEach(handler => {
+        Promise.resolve(message).then(handler)
+      })
+    },
+    listen(handler) {
+      handlers = handlers.concat(handler)
+      return () => {
+        handlers = handlers.filter(h => h !== handler)
+      }
+    }
+  }
+}
+
+/**
+ * Creates a transport on top of a message port, such as a `MessagePort`, a
+ * `BroadcastChannel`, a `Worker`, the `self` of a worker, or a `MessagePort`
+ * or `Worker` from Node's `worker_threads` module.
+ *
+ * @param {Object} port The port. It must have a `postMessage` method, and
+ * either `addEventListener` and `removeEventListener`, or `on` and `off`.
+ * @returns {Object} The transport.
+ */
+export function createPortTransport(port) {
+  if (!port || typeof port.postMessage !== 'function') {
+    throw new Error('Expected the port to have a postMessage method.')
+  }
+
+  const isEventTarget = typeof port.addEventListener === 'function'
+  if (!isEventTarget && typeof port.on !== 'function') {
+    throw new Error(
+      'Expected the port to have an addEventListener or an on method.'
+    )
+  }
+
+  return {
+    send(message) {
+      port.postMessage(message)
+    },
+    listen(handler) {
+      if (isEventTarget) {
+        const listener = event => handler(event.data)
+        port.addEventListener('message', listener)
+        if (typeof port.start === 'function') {
+          port.start()
+        }
+        return () => port.removeEventListener('message', listener)
+      }
+
+      port.on('message', handler)
+      return () => port.off('message', handler)
+    }
+  }
+}
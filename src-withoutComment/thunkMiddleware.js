@@ -0,0 +1,51 @@
+import isThenable from './utils/isThenable'
+
+function createThunkMiddleware(extraArgument) {
+  return ({ dispatch, getState }) => next => action => {
+    if (typeof action !== 'function') {
+      return next(action)
+    }
+
+    let isCancelled = false
+    const thunkDispatch = thunkAction =>
+      isCancelled ? undefined : dispatch(thunkAction)
+    const result = action(thunkDispatch, getState, extraArgument)
+    if (!isThenable(result)) {
+      return result
+    }
+
+    const handle = result.then(
+      value => isCancelled ? undefined : value,
+      error => {
+        if (!isCancelled) {
+          throw error
+        }
+      }
+    )
+    handle.cancel = () => {
+      isCancelled = true
+    }
+    return handle
+  }
+}
+
+/**
+ * A middleware that lets you dispatch functions, called thunks. A thunk is
+ * called with `dispatch` and `getState`, so it can dispatch actions later,
+ * for example after a request has completed. Whatever the thunk returns is
+ * returned from `dispatch()`, which makes it possible to wait for a thunk that
+ * returns a Promise.
+ *
+ * When the thunk returns a Promise, `dispatch()` returns a Promise following
+ * it with a `cancel()` method, like the other middlewares. After `cancel()`
+ * has been called, the actions the thunk dispatches are dropped, and the
+ * returned Promise resolves to `undefined`.
+ *
+ * Use `thunkMiddleware.withExtraArgument(extraArgument)` to create a thunk
+ * middleware that passes `extraArgument` to every thunk as a third argument,
+ * for example an API client that tests can replace.
+ */
+const thunkMiddleware = createThunkMiddleware()
+thunkMiddleware.withExtraArgument = createThunkMiddleware
+
+export default thunkMiddleware
@@ -0,0 +1,69 @@
+import isPlainObject from 'lodash/isPlainObject'
+
+function getEarlyDispatchMode(options) {
+  const mode = isPlainObject(options) ? options.earlyDispatch : undefined
+  if (typeof mode === 'undefined') {
+    return 'throw'
+  }
+
+  if (mode !== 'throw' && mode !== 'queue') {
+    throw new Error('Expected earlyDispatch to be "throw" or "queue".')
+  }
+
+  return mode
+}
+
+/**
+ * Creates the guard used by the middleware enhancers against middleware that
+ * dispatches while the chain is being built. `construct(name, fn)` runs `fn`
+ * on behalf of the named middleware. While it runs, `isConstructing()` is
+ * `true`, and actions should go to `dispatchEarly()`, which throws an error
+ * naming the middleware, or holds the action when the store was created with
+ * the `earlyDispatch: 'queue'` option. `flush(dispatch)` hands the held
+ * actions to `dispatch` once the chain is ready.
+ *
+ * @param {Object} [options] The store options.
+ * @returns {Object} The guard.
+ */
+export default function createEarlyDispatchGuard(options) {
+  const mode = getEarlyDispatchMode(options)
+  let earlyActions = []
+  let constructing = null
+
+  function construct(name, fn) {
+    const previous = constructing
+    constructing = name
+    try {
+      return fn()
+    } finally {
+      constructing = previous
+    }
+  }
+
+  function isConstructing() {
+    return constructing !== null
+  }
+
+  function dispatchEarly(action) {
+    if (mode === 'queue') {
+      earlyActions.push(action)
+      return undefined
+    }
+
+    throw new Error(
+      `Middleware ${constructing} dispatched while the middleware chain ` +
+      'was being constructed. Other middleware would not be applied to ' +
+      'this dispatch. Dispatch from the function the middleware returns, ' +
+      'or create the store with the earlyDispatch: \'queue\' option to ' +
+      'dispatch it once the chain is ready.'
+    )
+  }
+
+  function flush(dispatch) {
+    const actions = earlyActions
+    earlyActions = []
+    actions.forEach(action => dispatch(action))
+  }
+
+  return { construct, isConstructing, dispatchEarly, flush }
+}
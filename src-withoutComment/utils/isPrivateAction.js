@@ -0,0 +1,11 @@
+/**
+ * Tells whether an action is one of the private `@@redux/` actions, which
+ * the features recording, checking or forwarding user actions leave alone.
+ *
+ * @param {Object} action A plain object action.
+ * @returns {boolean} Whether the type of the action starts with `@@redux/`.
+ */
+export default function isPrivateAction(action) {
+  return typeof action.type === 'string' &&
+    action.type.indexOf('@@redux/') === 0
+}
@@ -0,0 +1,12 @@
+/**
+ * Tells whether a value is a Promise or another thenable, that is an object
+ * or a function with a `then` method.
+ *
+ * @param {any} value The value to check.
+ * @returns {boolean} Whether the value is a thenable.
+ */
+export default function isThenable(value) {
+  return !!value &&
+    (typeof value === 'object' || typeof value === 'function') &&
+    typeof value.then === 'function'
+}
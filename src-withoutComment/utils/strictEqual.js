@@ -0,0 +1,11 @@
+/**
+ * Compares two values by reference. This is the default equality check of
+ * `watch()` and `createSelector()`.
+ *
+ * @param {any} a The first value.
+ * @param {any} b The second value.
+ * @returns {boolean} Whether the values are strictly equal.
+ */
+export default function strictEqual(a, b) {
+  return a === b
+}